@@ -1,36 +1,132 @@
 // Configuration
 const CONFIG = {
     BACKEND_URL: 'https://hunter-hunted-api.phil-outram.workers.dev/',
-    UPDATE_INTERVAL: 5000, // 5 seconds
-    POSITION_DELAY: 120000, // 2 minutes in milliseconds
-    GAME_DURATION: 600000, // 10 minutes in milliseconds
-    CAPTURE_DISTANCE: 50, // 50 meters
+    LOBBY_POLL_INTERVAL: 2000, // 2 seconds
+    SOCKET_RETRY_DELAY: 5000, // Wait before reopening a dropped socket
+    SOCKET_ACK_TIMEOUT: 10000, // A fix sent up the socket and not acknowledged by then means it's dead
+    UPLOAD_RETRY_DELAY: 5000, // First wait before resending queued fixes; doubles each failure
+    MAX_UPLOAD_RETRY_DELAY: 60000,
+    MAX_QUEUED_POINTS: 120, // Oldest queued fixes are dropped beyond this (the backend's batch limit)
     MAX_ACCURACY_THRESHOLD: 100, // Only accept GPS readings with accuracy <= 100m
+    MAX_EXTRAPOLATION: 10000, // Carry our position along our track for up to 10s without a fix
+    STALE_FIX_AGE: 30000, // The last fix turns amber after 30s; the backend stops treating it as live
+    TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    TILE_CACHE: 'hunter-tiles-v2', // Shared with sw.js, which serves tiles from it
+    MAP_ZOOM: 16, // Opening zoom when there's no play area to fit
+    MAP_MAX_ZOOM: 19,
+    TILE_CACHE_ZOOMS: [-1, 0, 1, 2], // Levels cached around the opening zoom, shallowest first
+    TILE_CACHE_RADIUS: 750, // Metres around us to cache when there's no play area
+    MAX_PREFETCH_TILES: 500, // OpenStreetMap's tile policy rules out bulk downloads
+    TILE_FETCH_CONCURRENCY: 2,
+    ALERT_VIBRATION: [200, 100, 200], // ms on, off, on
+    TRAIL_OPACITY: 0.6, // Of the newest part of an opponent's trail; older parts fade towards 0
+    REPLAY_SPEED: 30, // Replays play at 30x real time
+    REPLAY_FRAME_INTERVAL: 100, // ms between replay frames
+    ABILITY_LABELS: { radar: 'Radar', decoy: 'Decoy', goDark: 'Go Dark' },
+    TEAM_PRESETS: ['Going north', 'Going south', 'Going east', 'Going west', 'Spotted them!', 'Need backup'],
+    PROFILE_STORAGE_KEY: 'hunterProfileToken', // localStorage key for our stable identity
+    GPS_MODE_STORAGE_KEY: 'hunterGpsMode', // localStorage key for 'adaptive', 'full' or 'saver'
+    UPDATE_RATES: { // Fastest first; `factor` multiplies the game's update interval
+        fast: { label: 'Fast', factor: 1, highAccuracy: true },
+        normal: { label: 'Normal', factor: 2, highAccuracy: true },
+        slow: { label: 'Slow', factor: 4, highAccuracy: false },
+    },
+    MAX_ADAPTIVE_INTERVAL: 20000, // Slowed updates stay inside the backend's 30s live window
+    CLOSE_RANGE: 5, // Opponents within 5x the capture distance speed updates up...
+    FAR_RANGE: 20, // ...and all of them beyond 20x slows them down
+    NEARLY_OVER: 60000, // Full speed for the last minute
+    FAST_SPEED: 2.5, // m/s; quicker than a brisk walk
+    STATIONARY_SPEED: 0.3, // m/s
+    LOW_BATTERY_LEVEL: 0.2, // Adaptive mode turns to battery saver below 20%, unless charging
+    RECENT_MATCHES: 5, // Matches listed under our stats on the start screen
+    DANGER_LEVELS: ['far', 'near', 'very_close'], // Proximity bands from the backend, safest first
+    DANGER_LABELS: { far: 'Far', near: 'Near', very_close: 'Very close!' },
+    DANGER_ALERTS: { // Played when the band rises; `repeat` replays it while the band holds
+        near: { vibration: [300, 200, 300], tone: 440, beeps: 2 },
+        very_close: { vibration: [600, 150, 600, 150, 600], tone: 880, beeps: 4, repeat: 10000 },
+    },
+    SIMULATED_GPS_START: { lat: 51.5074, lon: -0.1278 }, // Random walks start near here...
+    SIMULATED_GPS_SPREAD: 300, // ...up to 300m away, so tabs don't start on top of each other
+    SIMULATED_GPS_SPEED: 1.4, // m/s; walking pace
+    SIMULATED_GPS_INTERVAL: 1000, // ms between simulated fixes
+    SIMULATED_GPS_ACCURACY: 5,
 };
 
+// Development overrides from the page URL (see "Local Development" in the
+// README): ?backend=<url> uses another backend, ?gps=... simulates GPS.
+// Only read when the page itself is served locally, so a link to the real
+// site can't send our tokens elsewhere or fake our position.
+const DEV_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const DEV_PARAMS = new URLSearchParams(DEV_HOSTS.includes(window.location.hostname) ? window.location.search : '');
+
+if (DEV_PARAMS.has('backend')) {
+    CONFIG.BACKEND_URL = DEV_PARAMS.get('backend');
+}
+
 // Game State
 const gameState = {
-    playerId: null,
+    playerId: null, // Assigned by the backend on create/join
+    token: null, // Session token proving we are playerId
     playerName: null,
     playerRole: null,
     gameCode: null,
+    profileToken: null, // Identifies our profile across games; kept in localStorage
+    profile: null, // Our stats and match history from the backend
+    rules: null, // Per-game rules from the backend
+    isHost: false,
     isActive: false,
-    startTime: null,
+    hasStarted: false, // Countdown finished
+    startTime: null, // Shared start time from the backend
+    endTime: null,
+    serverOffset: 0, // Backend clock minus local clock
+    lobbyInterval: null,
+    socket: null, // Real-time channel; polling covers for it while closed
+    socketRetry: null,
     map: null,
     playerMarker: null,
     accuracyCircle: null,
     otherMarkers: {},
+    trailLayers: {}, // Fading trail behind each opponent's marker
+    sightings: {}, // Each opponent's latest location and heading, for their marker's label and arrow
+    teamMarkers: {}, // Teammates, shown live
+    teamMessageIds: new Set(), // Team messages already shown
+    unreadMessages: 0,
+    abilities: {}, // Our side's abilities from the backend: { name: { charges, activeUntil, readyAt } }
     updateInterval: null,
     timerInterval: null,
-    lastPosition: null,
+    lastPosition: null, // Filtered position, as sent to the backend (see toUpload)
+    positionFilter: null, // Kalman filter state from game-logic.js
+    rawFix: null, // Last fix from the GPS: { accuracy, rejected }
+    locationQueue: [], // Fixes we couldn't deliver, oldest first
+    unackedFixes: [], // Positions sent up the socket the backend hasn't acknowledged: { position, sentAt }
+    uploadRetryDelay: 0, // Current backoff; 0 while online
+    uploadRetryAt: 0,
+    uploading: false, // A batch is in flight
     watchId: null,
+    outOfBounds: false, // Last fix was outside the play area
+    penalty: null, // 'revealed' or 'disqualified', as applied by the backend
+    replay: null, // End screen replay: map, players, time range and playback
+    zone: null, // Shrinking zone from the backend: { current, next }
+    playAreaLayer: null,
+    nextZoneLayer: null,
+    danger: null, // Nearest hunter's band for hunted players: 'far', 'near' or 'very_close'
+    pendingCaptures: [], // Captures waiting to be confirmed that we're part of (all of them for referees)
+    dangerAlertAt: 0,
+    audio: null, // AudioContext, unlocked by a tap in the lobby
+    wakeLock: null,
+    paused: false, // A referee has paused the game
+    eventIds: new Set(), // Game events already shown
+    refereeFramed: false, // Referee's map has been fitted to the players
+    tileCache: null, // Lobby tile download: { cached, failed, total }, or { error }
+    gpsMode: 'adaptive', // Chosen on the start screen: 'adaptive', 'full' or 'saver'
+    updateRate: 'fast', // Current key of CONFIG.UPDATE_RATES
+    speed: null, // m/s, from GPS or the position filter
+    nearestOpponent: null, // Metres to the closest opponent we can see
+    battery: null, // BatteryManager, where the Battery API is supported
+    lowBatteryWarned: false,
 };
 
 // Utility Functions
-function generateId() {
-    return 'p_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-}
-
 function showToast(message, type = 'info') {
     const toast = document.getElementById('toast');
     toast.textContent = message;
@@ -41,380 +137,2511 @@ function showToast(message, type = 'info') {
     }, 3000);
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371e3; // Earth's radius in meters
-    const φ1 = lat1 * Math.PI / 180;
-    const φ2 = lat2 * Math.PI / 180;
-    const Δφ = (lat2 - lat1) * Math.PI / 180;
-    const Δλ = (lon2 - lon1) * Math.PI / 180;
+function roleColor(role) {
+    return role === 'hunter' ? '#e63946' : role === 'referee' ? '#7b61ff' : '#2a9d8f';
+}
+
+// kind is 'self', 'teammate' or 'opponent'. With a heading (degrees from
+// north), an arrow on the rim points the way they were going.
+function playerIcon(role, kind = 'opponent', heading = null) {
+    const size = kind === 'self' ? 20 : 16;
+    const arrow = heading === null ? '' : `<div class="heading-arrow" style="transform: rotate(${heading}deg);"></div>`;
+    
+    return L.divIcon({
+        className: 'player-marker',
+        html: `<div class="player-marker ${kind} ${role}" style="width: ${size}px; height: ${size}px;">${arrow}</div>`,
+        iconSize: [size, size],
+    });
+}
+
+function vibrate(pattern) {
+    if (navigator.vibrate) {
+        navigator.vibrate(pattern);
+    }
+}
+
+// Backend API Functions
+// Sends our session token (or another token, for profile routes) when we have
+// one. Errors carry the HTTP status.
+async function callBackend(path, body = null, token = gameState.token) {
+    const headers = {};
+    
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    const options = { headers };
+    
+    if (body) {
+        options.method = 'POST';
+        headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    
+    const response = await fetch(`${CONFIG.BACKEND_URL}${path}`, options);
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    return data;
+}
+
+// The session is gone (expired token, removed from game, game deleted)
+function isSessionError(error) {
+    return [401, 403, 404].includes(error.status);
+}
+
+// Sends a GPS fix; its timestamp is when it was measured, not when it's sent
+async function updateLocation(position) {
+    // Anything still queued goes first so the backend gets our fixes in order
+    if (gameState.locationQueue.length > 0) {
+        queueLocation(position);
+        return flushLocationQueue();
+    }
+    
+    try {
+        return await callBackend('/updateLocation', toUpload(position));
+    } catch (error) {
+        console.error('Error updating location:', error);
+        
+        if (isRetryable(error)) {
+            queueLocation(position);
+            scheduleUploadRetry();
+        } else {
+            // 422: the backend's anti-cheat checks rejected this fix
+            showToast(error.status === 422 ? error.message : 'Failed to update location', 'error');
+        }
+        return null;
+    }
+}
+
+// Offline Queue
+// Fixes that couldn't be delivered wait here and go up together in one
+// batch once the backend is reachable again.
+
+// No connection, or the backend is struggling; worth trying again
+function isRetryable(error) {
+    return error.status === undefined || error.status === 429 || error.status >= 500;
+}
+
+function queueLocation(position) {
+    const queue = gameState.locationQueue;
+    
+    // The loop resends the last fix when GPS has nothing newer
+    if (queue.length > 0 && queue[queue.length - 1].timestamp === position.timestamp) return;
+    
+    queue.push(toUpload(position));
+    queue.splice(0, queue.length - CONFIG.MAX_QUEUED_POINTS);
+    renderQueueStatus();
+}
+
+function scheduleUploadRetry() {
+    const first = gameState.uploadRetryDelay === 0;
+    
+    gameState.uploadRetryDelay = first
+        ? CONFIG.UPLOAD_RETRY_DELAY
+        : Math.min(gameState.uploadRetryDelay * 2, CONFIG.MAX_UPLOAD_RETRY_DELAY);
+    gameState.uploadRetryAt = Date.now() + gameState.uploadRetryDelay;
+    
+    if (first) {
+        showToast('Connection lost - saving your positions until it returns', 'warning');
+    }
+}
+
+async function flushLocationQueue() {
+    // Still backing off or sending; the game loop will try again
+    if (gameState.uploading || Date.now() < gameState.uploadRetryAt) return null;
+    
+    const points = gameState.locationQueue.slice();
+    gameState.uploading = true;
+    
+    try {
+        const data = await callBackend('/updateLocations', { points, sentAt: Date.now() });
+        
+        // Fixes queued while this was in flight wait for the next batch
+        gameState.locationQueue.splice(0, points.length);
+        gameState.uploadRetryDelay = 0;
+        gameState.uploadRetryAt = 0;
+        renderQueueStatus();
+        showToast(`Back online - sent ${points.length} saved position${points.length === 1 ? '' : 's'}`, 'success');
+        return data;
+    } catch (error) {
+        console.error('Error sending queued locations:', error);
+        
+        if (isRetryable(error)) {
+            scheduleUploadRetry();
+        } else {
+            // The backend won't take them (session gone, bad batch); don't keep trying
+            clearLocationQueue();
+            showToast(error.message, 'error');
+        }
+        return null;
+    } finally {
+        gameState.uploading = false;
+    }
+}
+
+function clearLocationQueue() {
+    gameState.locationQueue = [];
+    gameState.unackedFixes = [];
+    gameState.uploadRetryDelay = 0;
+    gameState.uploadRetryAt = 0;
+    renderQueueStatus();
+}
+
+function renderQueueStatus() {
+    const count = gameState.locationQueue.length;
+    
+    document.getElementById('queueItem').style.display = count > 0 ? '' : 'none';
+    document.getElementById('queueDisplay').textContent = `${count} queued`;
+}
+
+async function getLocations() {
+    try {
+        return await callBackend('/locations');
+    } catch (error) {
+        console.error('Error fetching locations:', error);
+        
+        if (isSessionError(error) && gameState.isActive) {
+            endGame('left', `You are no longer in this game: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+// Real-time Channel
+// While the socket is open the backend pushes lobby, game and location
+// updates and we send positions up it. Polling only runs while it's closed.
+function isRealtime() {
+    return gameState.socket !== null && gameState.socket.readyState === WebSocket.OPEN;
+}
+
+// Positions go up the socket unconfirmed, so each waits for the backend's
+// ack. In a dead zone the socket can look open for a long while after the
+// connection has gone; a fix left unacknowledged too long tells us so.
+function sendOverSocket(position) {
+    gameState.socket.send(JSON.stringify({ type: 'location', ...toUpload(position) }));
+    
+    const unacked = gameState.unackedFixes;
+    if (unacked.length === 0 || unacked[unacked.length - 1].position.timestamp !== position.timestamp) {
+        unacked.push({ position, sentAt: Date.now() });
+    }
+}
+
+function isSocketStalled() {
+    const oldest = gameState.unackedFixes[0];
+    return oldest !== undefined && Date.now() - oldest.sentAt > CONFIG.SOCKET_ACK_TIMEOUT;
+}
+
+// Unacknowledged fixes may never have arrived: they join the offline queue
+// and go up in the next batch, which skips any the backend already has
+function requeueUnackedFixes() {
+    const unacked = gameState.unackedFixes;
+    gameState.unackedFixes = [];
+    if (unacked.length === 0) return;
+    
+    const queued = new Set(gameState.locationQueue.map(fix => fix.timestamp));
+    const queue = unacked
+        .filter(({ position }) => !queued.has(position.timestamp))
+        .map(({ position }) => toUpload(position))
+        .concat(gameState.locationQueue)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    
+    gameState.locationQueue = queue.slice(-CONFIG.MAX_QUEUED_POINTS);
+    renderQueueStatus();
+}
+
+// Give up on a socket that's stopped answering; polling takes over until
+// the retry opens a new one
+function abandonRealtime() {
+    const socket = gameState.socket;
+    gameState.socket = null;
+    requeueUnackedFixes();
+    socket.close();
+    scheduleReconnect();
+}
+
+function scheduleReconnect() {
+    // Try the socket again while we're still in a game
+    if (gameState.token) {
+        gameState.socketRetry = setTimeout(() => {
+            gameState.socketRetry = null;
+            connectRealtime();
+        }, CONFIG.SOCKET_RETRY_DELAY);
+    }
+}
+
+function connectRealtime() {
+    if (typeof WebSocket === 'undefined' || !gameState.token || gameState.socket) return;
+    
+    // Browsers can't set headers on WebSocket requests, so the token goes in the URL
+    const url = `${CONFIG.BACKEND_URL.replace(/^http/, 'ws')}/connect?token=${encodeURIComponent(gameState.token)}`;
+    
+    let socket;
+    try {
+        socket = new WebSocket(url);
+    } catch (error) {
+        console.error('Error opening socket:', error);
+        return;
+    }
+    
+    gameState.socket = socket;
+    
+    socket.addEventListener('message', event => {
+        try {
+            handleRealtimeMessage(JSON.parse(event.data));
+        } catch (error) {
+            console.error('Error handling socket message:', error);
+        }
+    });
+    
+    socket.addEventListener('close', () => {
+        if (gameState.socket !== socket) return;
+        gameState.socket = null;
+        
+        // Polling has taken over
+        requeueUnackedFixes();
+        scheduleReconnect();
+    });
+}
+
+function disconnectRealtime() {
+    if (gameState.socketRetry) {
+        clearTimeout(gameState.socketRetry);
+        gameState.socketRetry = null;
+    }
+    
+    if (gameState.socket) {
+        const socket = gameState.socket;
+        gameState.socket = null;
+        socket.close();
+    }
+}
+
+function handleRealtimeMessage(message) {
+    if (message.serverTime) {
+        gameState.serverOffset = message.serverTime - Date.now();
+    }
+    
+    if (message.type === 'game') {
+        if (gameState.isActive) {
+            // The backend decides captures; every client ends on the same result
+            if (message.game.result) {
+                // Judge it from the side we finished on, which may be news to us
+                const me = message.game.players.find(player => player.playerId === gameState.playerId);
+                if (me) gameState.playerRole = me.role;
+                showResult(message.game.result);
+                return;
+            }
+            
+            updateGameClock(message.game.status, message.game.endTime);
+            renderRefereePlayers(message.game.players);
+        } else {
+            renderLobby({ ...message.game, serverTime: message.serverTime });
+        }
+    } else if (message.type === 'locations') {
+        if (!gameState.isActive) return;
+        
+        updateEvents(message.events);
+        updateRole(message.role);
+        updateZone(message.zone);
+        updateOtherPlayers(message.locations, message.count);
+        updateAbilities(message.abilities);
+        updatePenalty(message.penalty);
+        updateDanger(message.danger);
+        updatePendingCaptures(message.pendingCaptures);
+        document.getElementById('lastUpdate').textContent = formatClock(Date.now());
+    } else if (message.type === 'team') {
+        if (!gameState.isActive) return;
+        
+        updateTeammates(message.teammates);
+        renderTeamMessages(message.messages);
+    } else if (message.type === 'ack') {
+        // Delivered, whether or not the backend kept it: nothing to resend
+        gameState.unackedFixes = gameState.unackedFixes.filter(({ position }) => position.timestamp > message.timestamp);
+    } else if (message.type === 'rejected') {
+        showToast(message.error, 'error');
+    } else if (message.type === 'error') {
+        // The backend closes the socket next; polling reports the error to the player
+        console.error('Socket error:', message.error);
+    }
+}
+
+// GPS Functions
+function startGPSTracking() {
+    if (!navigator.geolocation) {
+        showToast('Geolocation not supported', 'error');
+        return;
+    }
+
+    // Slower rates accept a recent fix and let the phone skip satellite GPS
+    const rate = CONFIG.UPDATE_RATES[gameState.updateRate];
+    const options = {
+        enableHighAccuracy: rate.highAccuracy,
+        timeout: 10000,
+        maximumAge: gameState.updateRate === 'fast' ? 0 : getUpdateInterval(gameState.updateRate),
+    };
+
+    gameState.watchId = navigator.geolocation.watchPosition(
+        handlePositionSuccess,
+        handlePositionError,
+        options
+    );
+}
+
+function stopGPSTracking() {
+    if (gameState.watchId !== null) {
+        navigator.geolocation.clearWatch(gameState.watchId);
+        gameState.watchId = null;
+    }
+}
+
+function handlePositionSuccess(position) {
+    const { latitude, longitude, accuracy, speed, heading } = position.coords;
+    const fix = { lat: latitude, lon: longitude, accuracy, speed, heading, timestamp: Date.now() };
+    
+    // Only use accurate readings
+    if (accuracy > CONFIG.MAX_ACCURACY_THRESHOLD) {
+        console.warn(`GPS accuracy too low: ${accuracy}m`);
+        gameState.rawFix = { accuracy, rejected: true };
+        renderFixQuality();
+        return;
+    }
+    
+    const { filter, outlier } = updatePositionFilter(gameState.positionFilter, fix);
+    gameState.positionFilter = filter;
+    gameState.rawFix = { accuracy, rejected: outlier };
+    
+    if (outlier) {
+        console.warn(`GPS fix dropped as an outlier (${formatAccuracy(accuracy)} accuracy)`);
+        renderFixQuality();
+        return;
+    }
+    
+    // Prefer the speed GPS reports; the filter's is noisier standing still
+    gameState.speed = Number.isFinite(speed) ? speed : getFilteredMotion(filter).speed;
+    setPosition({ ...getFilteredPosition(filter), fixAccuracy: accuracy });
+    
+    // Breaking into a run shouldn't wait for the next slow tick
+    adaptUpdateRate();
+}
+
+// Our smoothed position: shown on the map, sent to the backend and measured from.
+// `fixAccuracy` is the accuracy the GPS gave for the fix it came from.
+function setPosition(position) {
+    gameState.lastPosition = position;
+    
+    updatePlayerMarker(position.lat, position.lon, position.accuracy);
+    checkPlayArea(position.lat, position.lon);
+    renderFixQuality();
+}
+
+// Through a short gap in fixes (a tunnel, a tall building) carry on along
+// our track rather than standing still; after that, stay at the last fix
+function extrapolatePosition() {
+    const filter = gameState.positionFilter;
+    if (!filter) return;
+    
+    const gap = Date.now() - filter.timestamp;
+    if (gap <= 0 || gap > CONFIG.MAX_EXTRAPOLATION) return;
+    
+    setPosition({ ...getFilteredPosition(filter, Date.now()), fixAccuracy: gameState.lastPosition.fixAccuracy });
+}
+
+// A position as the backend takes it. Standing still, the filter's accuracy
+// keeps shrinking to below a metre, which real GPS never claims and the
+// anti-cheat checks flag, so we never report better than the fix itself.
+function toUpload(position) {
+    return {
+        lat: position.lat,
+        lon: position.lon,
+        accuracy: Math.max(position.accuracy, position.fixAccuracy),
+        timestamp: position.timestamp,
+    };
+}
+
+// Raw fix accuracy (crossed out if we dropped it) against the filtered one,
+// and how long since a fix we used
+function renderFixQuality() {
+    const raw = gameState.rawFix;
+    const filter = gameState.positionFilter;
+    
+    if (!raw) {
+        document.getElementById('accuracyDisplay').textContent = '--';
+    } else {
+        const filtered = gameState.lastPosition ? ` → ${formatAccuracy(gameState.lastPosition.accuracy)}` : '';
+        document.getElementById('accuracyDisplay').textContent =
+            `${raw.rejected ? '✗ ' : ''}${formatAccuracy(raw.accuracy)}${filtered}`;
+    }
+    
+    const fixAgeItem = document.getElementById('fixAgeItem');
+    if (!filter) {
+        fixAgeItem.style.display = 'none';
+        return;
+    }
+    
+    const age = Math.max(0, Date.now() - filter.timestamp);
+    fixAgeItem.style.display = '';
+    fixAgeItem.classList.toggle('stale', age > CONFIG.STALE_FIX_AGE);
+    document.getElementById('fixAgeDisplay').textContent = `${Math.floor(age / 1000)}s ago`;
+}
+
+// One-time position for centring the play area on the creator, or a corner of it
+function getCurrentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation not supported'));
+            return;
+        }
+        
+        navigator.geolocation.getCurrentPosition(resolve, reject, {
+            enableHighAccuracy: true,
+            timeout: 10000,
+            maximumAge: 0,
+        });
+    });
+}
+
+// Warn when crossing the play area boundary; the backend applies the penalty
+function checkPlayArea(lat, lon) {
+    const outOfBounds = !isInPlayArea(currentPlayArea(), lat, lon);
+    if (outOfBounds === gameState.outOfBounds || !gameState.isActive) return;
+    
+    gameState.outOfBounds = outOfBounds;
+    
+    if (outOfBounds) {
+        const penalty = gameState.rules.outOfBoundsPenalty === 'disqualify'
+            ? 'you will be disqualified'
+            : 'opponents will see where you are';
+        const grace = gameState.rules.outOfBoundsGrace;
+        const deadline = grace > 0 ? `within ${formatDuration(grace)}` : 'now';
+        showToast(`Outside the play area! Return ${deadline} or ${penalty}`, 'error');
+        vibrate(CONFIG.ALERT_VIBRATION);
+    } else {
+        showToast('Back inside the play area', 'success');
+    }
+}
+
+// React to a change in the penalty the backend has applied to us
+function updatePenalty(penalty) {
+    if (penalty === gameState.penalty) return;
+    gameState.penalty = penalty;
+    
+    if (penalty === 'revealed') {
+        showToast('Out of bounds: opponents can see your live position!', 'error');
+        vibrate(CONFIG.ALERT_VIBRATION);
+    } else if (penalty === 'disqualified') {
+        showToast('Out of bounds too long: you are disqualified', 'error');
+        vibrate(CONFIG.ALERT_VIBRATION);
+    }
+}
+
+function handlePositionError(error) {
+    let message = 'GPS error';
+    
+    switch (error.code) {
+        case error.PERMISSION_DENIED:
+            message = 'Location permission denied';
+            break;
+        case error.POSITION_UNAVAILABLE:
+            message = 'Location unavailable';
+            break;
+        case error.TIMEOUT:
+            message = 'Location request timeout';
+            break;
+    }
+    
+    console.error('GPS error:', message, error);
+    showToast(message, 'error');
+}
+
+// Simulated GPS
+// Replaces the browser's geolocation so a game can be played from one laptop:
+// ?gps=walk wanders from ?start=lat,lon at ?speed= m/s, and ?gps=<url>
+// replays a GPX or GeoJSON track in real time (?player=Name picks one player
+// from a game's exported tracks).
+function installSimulatedGps() {
+    const source = DEV_PARAMS.get('gps');
+    if (!source) return;
+    
+    const nextFix = source === 'walk' ? createRandomWalk() : createTrackReplay(source);
+    const watches = new Map();
+    let nextWatchId = 1;
+    
+    const report = async (success, failure) => {
+        try {
+            const { lat, lon, speed } = await nextFix();
+            success({
+                coords: { latitude: lat, longitude: lon, accuracy: CONFIG.SIMULATED_GPS_ACCURACY, speed },
+                timestamp: Date.now(),
+            });
+        } catch (error) {
+            console.error('Error simulating GPS:', error);
+            if (failure) failure({ code: 2, POSITION_UNAVAILABLE: 2, message: error.message });
+        }
+    };
+    
+    Object.defineProperty(navigator, 'geolocation', {
+        configurable: true,
+        value: {
+            watchPosition(success, failure) {
+                const id = nextWatchId++;
+                report(success, failure);
+                watches.set(id, setInterval(() => report(success, failure), CONFIG.SIMULATED_GPS_INTERVAL));
+                return id;
+            },
+            clearWatch(id) {
+                clearInterval(watches.get(id));
+                watches.delete(id);
+            },
+            getCurrentPosition(success, failure) {
+                report(success, failure);
+            },
+        },
+    });
+    
+    showToast(`Simulated GPS: ${source === 'walk' ? 'random walk' : source}`, 'warning');
+}
+
+function createRandomWalk() {
+    const [lat, lon] = (DEV_PARAMS.get('start') || '').split(',').map(Number);
+    const speed = Number(DEV_PARAMS.get('speed') || CONFIG.SIMULATED_GPS_SPEED);
+    let heading = Math.random() * 360;
+    let position = Number.isFinite(lat) && Number.isFinite(lon)
+        ? { lat, lon }
+        : offsetPosition(CONFIG.SIMULATED_GPS_START, heading, Math.random() * CONFIG.SIMULATED_GPS_SPREAD);
+    let movedAt = Date.now();
+    
+    return async () => {
+        const now = Date.now();
+        
+        // Drift up to 30° either way each step
+        heading += (Math.random() - 0.5) * 60;
+        position = offsetPosition(position, heading, speed * (now - movedAt) / 1000);
+        movedAt = now;
+        
+        return { ...position, speed };
+    };
+}
 
-    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Plays the track from its first point once the first fix is asked for,
+// then stays at its last point
+function createTrackReplay(url) {
+    let points = null;
+    let startedAt = 0;
+    
+    return async () => {
+        if (!points) {
+            points = await loadTrack(url);
+            startedAt = Date.now();
+        }
+        
+        const elapsed = Date.now() - startedAt;
+        let index = 0;
+        
+        while (index + 1 < points.length && points[index + 1].time <= elapsed) {
+            index++;
+        }
+        
+        return { lat: points[index].lat, lon: points[index].lon, speed: null };
+    };
+}
 
-    return R * c;
+// Track points with `time` in ms from the first; tracks without times
+// advance one point per simulated fix
+async function loadTrack(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Couldn't load track ${url}: HTTP ${response.status}`);
+    }
+    
+    const text = await response.text();
+    const points = text.trim().startsWith('<') ? parseGpxTrack(text) : parseGeoJsonTrack(JSON.parse(text));
+    
+    if (points.length === 0) {
+        throw new Error(`No track points in ${url}`);
+    }
+    
+    const first = points[0].time;
+    
+    return points.map((point, i) => ({
+        lat: point.lat,
+        lon: point.lon,
+        time: Number.isFinite(first) && Number.isFinite(point.time)
+            ? point.time - first
+            : i * CONFIG.SIMULATED_GPS_INTERVAL,
+    }));
+}
+
+// Our GPX exports name each track "Name (role)"
+function parseGpxTrack(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const player = DEV_PARAMS.get('player');
+    const track = [...doc.getElementsByTagName('trk')].find(trk => {
+        const name = trk.getElementsByTagName('name')[0];
+        return !player || (name && name.textContent.startsWith(`${player} (`));
+    });
+    
+    if (!track) return [];
+    
+    return [...track.getElementsByTagName('trkpt')].map(point => {
+        const time = point.getElementsByTagName('time')[0];
+        
+        return {
+            lat: Number(point.getAttribute('lat')),
+            lon: Number(point.getAttribute('lon')),
+            time: time ? Date.parse(time.textContent) : null,
+        };
+    });
+}
+
+// A LineString, or the first one (or ?player's) in a FeatureCollection,
+// with optional `coordTimes` as our GeoJSON exports have
+function parseGeoJsonTrack(geojson) {
+    const player = DEV_PARAMS.get('player');
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    const feature = features.find(item => {
+        const properties = item.properties || {};
+        return item.geometry && item.geometry.type === 'LineString' &&
+            (!player || properties.playerName === player);
+    });
+    
+    if (!feature) return [];
+    
+    const times = (feature.properties && feature.properties.coordTimes) || [];
+    
+    return feature.geometry.coordinates.map(([lon, lat], i) => ({
+        lat,
+        lon,
+        time: times[i] !== undefined ? new Date(times[i]).getTime() : null,
+    }));
+}
+
+// Map Functions
+function initMap() {
+    gameState.map = L.map('map', {
+        zoomControl: false,
+        attributionControl: false,
+    }).setView([0, 0], CONFIG.MAP_ZOOM);
+
+    // Use OpenStreetMap tiles (free); the service worker serves cached ones
+    // CORS requests, so sw.js gets tiles it can cache (see fetchTile there)
+    L.tileLayer(CONFIG.TILE_URL, {
+        maxZoom: CONFIG.MAP_MAX_ZOOM,
+        crossOrigin: true,
+    }).addTo(gameState.map);
+
+    // Add zoom control to bottom right
+    L.control.zoom({
+        position: 'bottomright'
+    }).addTo(gameState.map);
+    
+    drawPlayArea(gameState.rules.playArea);
+    
+    if (gameState.playAreaLayer) {
+        gameState.map.fitBounds(gameState.playAreaLayer.getBounds());
+    }
+}
+
+function createAreaLayer(area, style) {
+    const options = {
+        weight: 3,
+        dashArray: '8 6',
+        fill: false,
+        interactive: false,
+        ...style,
+    };
+    
+    return area.type === 'circle'
+        ? L.circle([area.center.lat, area.center.lon], { ...options, radius: area.radius })
+        : L.polygon(area.points.map(point => [point.lat, point.lon]), options);
+}
+
+function drawPlayArea(playArea) {
+    if (gameState.playAreaLayer) {
+        gameState.map.removeLayer(gameState.playAreaLayer);
+        gameState.playAreaLayer = null;
+    }
+    
+    if (!playArea) return;
+    
+    gameState.playAreaLayer = createAreaLayer(playArea, { color: '#f4a261' }).addTo(gameState.map);
+}
+
+// The next zone is announced before it closes; draw it alongside the current one
+function drawNextZone(zone) {
+    if (gameState.nextZoneLayer) {
+        gameState.map.removeLayer(gameState.nextZoneLayer);
+        gameState.nextZoneLayer = null;
+    }
+    
+    if (!zone) return;
+    
+    gameState.nextZoneLayer = createAreaLayer(zone, { color: '#ffffff', dashArray: '4 8' }).addTo(gameState.map);
+}
+
+// Apply the backend's shrinking zone state; it decides when and where the zone shrinks
+function updateZone(zone) {
+    if (!zone || !gameState.map) return;
+    
+    const previous = gameState.zone;
+    gameState.zone = zone;
+    
+    if (!previous || JSON.stringify(previous.current) !== JSON.stringify(zone.current)) {
+        drawPlayArea(zone.current);
+    }
+    
+    const nextChanged = (previous && previous.next ? previous.next.closeAt : null) !== (zone.next ? zone.next.closeAt : null);
+    if (!nextChanged) return;
+    
+    drawNextZone(zone.next);
+    
+    if (zone.next) {
+        const remaining = zone.next.closeAt - (Date.now() + gameState.serverOffset);
+        showToast(`The zone is shrinking! Get inside the white circle within ${formatTime(Math.max(0, remaining))}`, 'warning');
+        vibrate(CONFIG.ALERT_VIBRATION);
+    }
+}
+
+// The area players must currently stay in
+function currentPlayArea() {
+    return gameState.zone ? gameState.zone.current : gameState.rules.playArea;
+}
+
+// Offline Map
+// A weak signal mid-game shouldn't blank the map, so the lobby downloads the
+// game area's tiles into the cache the service worker serves them from.
+
+// The zoom initMap's fitBounds lands on for these bounds on a full-screen map
+function getFitZoom(bounds) {
+    const width = (lonToTileX(bounds.east, 0) - lonToTileX(bounds.west, 0)) * 256;
+    const height = (latToTileY(bounds.south, 0) - latToTileY(bounds.north, 0)) * 256;
+    const zoom = Math.floor(Math.log2(Math.min(window.innerWidth / width, window.innerHeight / height)));
+    
+    return Math.max(0, Math.min(zoom, CONFIG.MAP_MAX_ZOOM));
+}
+
+// Tile URLs covering the bounds at each cached level, stopping at the first
+// level that would go over the limit (each level has four times the tiles)
+function getAreaTiles(bounds, openingZoom) {
+    const urls = [];
+    
+    for (const offset of CONFIG.TILE_CACHE_ZOOMS) {
+        const zoom = openingZoom + offset;
+        if (zoom < 0 || zoom > CONFIG.MAP_MAX_ZOOM) continue;
+        
+        const minX = Math.floor(lonToTileX(bounds.west, zoom));
+        const maxX = Math.floor(lonToTileX(bounds.east, zoom));
+        const minY = Math.floor(latToTileY(bounds.north, zoom));
+        const maxY = Math.floor(latToTileY(bounds.south, zoom));
+        
+        if (urls.length + (maxX - minX + 1) * (maxY - minY + 1) > CONFIG.MAX_PREFETCH_TILES) break;
+        
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                urls.push(CONFIG.TILE_URL.replace('{z}', zoom).replace('{x}', x).replace('{y}', y));
+            }
+        }
+    }
+    
+    return urls;
+}
+
+// Cache the play area's tiles, or those around us without one. Tiles already
+// cached aren't fetched again; leaving the lobby stops the download.
+async function cacheMapArea() {
+    // The Cache API needs HTTPS (or localhost)
+    if (typeof caches === 'undefined') return;
+    
+    let area = gameState.rules.playArea;
+    let zoom;
+    
+    if (area) {
+        zoom = getFitZoom(getAreaBounds(area));
+    } else {
+        try {
+            const position = await getCurrentPosition();
+            area = {
+                type: 'circle',
+                center: { lat: position.coords.latitude, lon: position.coords.longitude },
+                radius: CONFIG.TILE_CACHE_RADIUS,
+            };
+            zoom = CONFIG.MAP_ZOOM;
+        } catch (error) {
+            console.error('Error locating map area:', error);
+            gameState.tileCache = { error: 'Offline map needs your location' };
+            renderTileStatus();
+            return;
+        }
+    }
+    
+    const urls = getAreaTiles(getAreaBounds(area), zoom);
+    const progress = { cached: 0, failed: 0, total: urls.length };
+    gameState.tileCache = progress;
+    renderTileStatus();
+    
+    const cache = await caches.open(CONFIG.TILE_CACHE);
+    let next = 0;
+    
+    const fetchTiles = async () => {
+        while (next < urls.length && gameState.tileCache === progress) {
+            const url = urls[next++];
+            
+            try {
+                if (!(await cache.match(url))) {
+                    await cache.add(url);
+                }
+                progress.cached++;
+            } catch (error) {
+                progress.failed++;
+            }
+            
+            renderTileStatus();
+        }
+    };
+    
+    await Promise.all(Array.from({ length: CONFIG.TILE_FETCH_CONCURRENCY }, fetchTiles));
+    
+    if (progress.failed > 0 && gameState.tileCache === progress) {
+        console.error(`Error caching map: ${progress.failed} tiles failed`);
+    }
+}
+
+function renderTileStatus() {
+    const status = document.getElementById('tileStatus');
+    const progress = gameState.tileCache;
+    
+    if (!progress) {
+        status.textContent = '';
+    } else if (progress.error) {
+        status.textContent = `🗺️ ${progress.error}`;
+    } else {
+        const percent = progress.total > 0 ? Math.floor(progress.cached / progress.total * 100) : 100;
+        const failed = progress.failed > 0 ? `, ${progress.failed} failed` : '';
+        status.textContent = `🗺️ Offline map: ${progress.cached}/${progress.total} tiles (${percent}%${failed})`;
+    }
+}
+
+function updatePlayerMarker(lat, lon, accuracy) {
+    if (!gameState.map) return;
+    
+    const latlng = [lat, lon];
+    const isFirstFix = !gameState.playerMarker;
+    
+    // Update or create marker
+    if (gameState.playerMarker) {
+        gameState.playerMarker.setLatLng(latlng);
+    } else {
+        gameState.playerMarker = L.marker(latlng, { icon: playerIcon(gameState.playerRole, 'self') })
+            .addTo(gameState.map)
+            .bindPopup(`You (${gameState.playerRole})`);
+    }
+    
+    // Update or create accuracy circle
+    if (gameState.accuracyCircle) {
+        gameState.accuracyCircle.setLatLng(latlng);
+        gameState.accuracyCircle.setRadius(accuracy);
+    } else {
+        gameState.accuracyCircle = L.circle(latlng, {
+            radius: accuracy,
+            color: roleColor(gameState.playerRole),
+            fillColor: roleColor(gameState.playerRole),
+            fillOpacity: 0.15,
+            weight: 2,
+        }).addTo(gameState.map);
+    }
+    
+    // Center map on first position
+    if (isFirstFix) {
+        gameState.map.setView(latlng, 16);
+    }
+}
+
+function updateOtherPlayers(locations, playerCount) {
+    if (!gameState.map || !locations) return;
+    
+    const now = Date.now();
+    const currentPlayerIds = new Set();
+    
+    const opponents = getOpponents(locations, gameState.playerRole);
+    
+    opponents.forEach(player => {
+        currentPlayerIds.add(player.playerId);
+        
+        const latlng = [player.lat, player.lon];
+        const popup = `
+                    ${escapeHtml(player.playerName)} (${player.role})<br>
+                    <small>${describeSighting(player, now)}</small>
+                    ${player.flagged ? `<br><small>⚠️ Flagged for suspicious GPS${
+                        player.cheatFlags ? `: ${describeCheatFlags(player.cheatFlags)}` : ''
+                    }</small>` : ''}
+                `;
+        
+        // Whole degrees, so the icon is only rebuilt when the arrow visibly turns
+        const inferred = inferHeading(player);
+        const heading = inferred === null ? null : Math.round(inferred);
+        const previous = gameState.sightings[player.playerId];
+        gameState.sightings[player.playerId] = { ...player, heading };
+        
+        if (gameState.otherMarkers[player.playerId]) {
+            // Update existing marker, redrawing the arrow if it has turned
+            const marker = gameState.otherMarkers[player.playerId].setLatLng(latlng).setPopupContent(popup);
+            if (!previous || previous.heading !== heading) {
+                marker.setIcon(playerIcon(player.role, 'opponent', heading));
+            }
+        } else {
+            // Create new marker, labelled with the position's age
+            const marker = L.marker(latlng, { icon: playerIcon(player.role, 'opponent', heading) })
+                .addTo(gameState.map)
+                .bindPopup(popup)
+                .bindTooltip('', { permanent: true, direction: 'bottom', offset: [0, 8], className: 'age-label' });
+            
+            gameState.otherMarkers[player.playerId] = marker;
+        }
+        
+        drawTrail(player);
+    });
+    
+    gameState.nearestOpponent = getNearestDistance(gameState.lastPosition, opponents);
+    
+    // Remove markers for players who left
+    Object.keys(gameState.otherMarkers).forEach(playerId => {
+        if (!currentPlayerIds.has(playerId)) {
+            gameState.map.removeLayer(gameState.otherMarkers[playerId]);
+            delete gameState.otherMarkers[playerId];
+            delete gameState.sightings[playerId];
+        }
+    });
+    Object.keys(gameState.trailLayers).forEach(playerId => {
+        if (!currentPlayerIds.has(playerId)) {
+            gameState.map.removeLayer(gameState.trailLayers[playerId]);
+            delete gameState.trailLayers[playerId];
+        }
+    });
+    
+    renderOpponentAges(now + gameState.serverOffset);
+    
+    // Referees have no position of their own: start them framed on the players
+    if (isReferee() && !gameState.playAreaLayer && !gameState.refereeFramed && locations.length > 0) {
+        gameState.map.fitBounds(locations.map(player => [player.lat, player.lon]), { maxZoom: 16 });
+        gameState.refereeFramed = true;
+    }
+    
+    // Update player count
+    document.getElementById('playerCount').textContent = `${playerCount}/${gameState.rules.maxPlayers}`;
+}
+
+// An opponent's earlier positions, fading out with age, joined up to where
+// their marker is now
+function drawTrail(player) {
+    const points = [...(player.trail || []), player].map(point => [point.lat, point.lon]);
+    const color = roleColor(player.role);
+    
+    if (gameState.trailLayers[player.playerId]) {
+        gameState.trailLayers[player.playerId].clearLayers();
+    } else {
+        gameState.trailLayers[player.playerId] = L.layerGroup().addTo(gameState.map);
+    }
+    
+    const layer = gameState.trailLayers[player.playerId];
+    
+    for (let i = 0; i < points.length - 1; i++) {
+        const opacity = CONFIG.TRAIL_OPACITY * (i + 1) / (points.length - 1);
+        
+        L.polyline([points[i], points[i + 1]], { color, weight: 3, opacity, interactive: false }).addTo(layer);
+        L.circleMarker(points[i], {
+            radius: 3,
+            color,
+            fillColor: color,
+            opacity,
+            fillOpacity: opacity,
+            interactive: false,
+        }).addTo(layer);
+    }
+}
+
+// How old each opponent's position is, under their marker; ticks with the timer
+function renderOpponentAges(now) {
+    Object.entries(gameState.sightings).forEach(([playerId, player]) => {
+        const marker = gameState.otherMarkers[playerId];
+        if (marker) {
+            marker.setTooltipContent(describeAge(player, now));
+        }
+    });
+}
+
+// Teammates' live positions, in a distinct marker style
+function updateTeammates(teammates) {
+    if (!gameState.map || !teammates) return;
+    
+    const currentPlayerIds = new Set();
+    
+    teammates.forEach(player => {
+        currentPlayerIds.add(player.playerId);
+        
+        const latlng = [player.lat, player.lon];
+        const marker = gameState.teamMarkers[player.playerId];
+        
+        if (marker) {
+            marker.setLatLng(latlng);
+        } else {
+            gameState.teamMarkers[player.playerId] = L.marker(latlng, { icon: playerIcon(player.role, 'teammate') })
+                .addTo(gameState.map)
+                .bindPopup(`${escapeHtml(player.playerName)} (teammate, live)`);
+        }
+    });
+    
+    Object.keys(gameState.teamMarkers).forEach(playerId => {
+        if (!currentPlayerIds.has(playerId)) {
+            gameState.map.removeLayer(gameState.teamMarkers[playerId]);
+            delete gameState.teamMarkers[playerId];
+        }
+    });
+}
+
+// Team Messages
+function renderTeamMessages(messages) {
+    if (!messages) return;
+    
+    const panelOpen = document.getElementById('teamPanel').style.display !== 'none';
+    const list = document.getElementById('teamMessages');
+    list.innerHTML = '';
+    
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.className = `team-message ${message.playerId === gameState.playerId ? 'mine' : ''}`;
+        
+        // Names and messages are players' own words: text, never HTML
+        const name = document.createElement('strong');
+        name.textContent = message.playerId === gameState.playerId ? 'You' : message.playerName;
+        
+        const time = document.createElement('small');
+        time.textContent = formatClock(message.timestamp);
+        
+        item.append(name, ` ${message.text} `, time);
+        list.appendChild(item);
+        
+        if (gameState.teamMessageIds.has(message.messageId)) return;
+        gameState.teamMessageIds.add(message.messageId);
+        
+        // Let us know about teammates' new messages while the feed is closed
+        if (message.playerId !== gameState.playerId && !panelOpen) {
+            gameState.unreadMessages++;
+            showToast(`💬 ${message.playerName}: ${message.text}`, 'info');
+        }
+    });
+    
+    list.scrollTop = list.scrollHeight;
+    renderUnreadBadge();
+}
+
+function renderUnreadBadge() {
+    const badge = document.getElementById('teamUnread');
+    badge.textContent = gameState.unreadMessages;
+    badge.style.display = gameState.unreadMessages > 0 ? '' : 'none';
+}
+
+function toggleTeamPanel() {
+    const panel = document.getElementById('teamPanel');
+    const open = panel.style.display === 'none';
+    
+    panel.style.display = open ? '' : 'none';
+    
+    if (open) {
+        gameState.unreadMessages = 0;
+        renderUnreadBadge();
+    }
+}
+
+async function sendTeamMessage(text) {
+    text = text.trim();
+    if (!text) return;
+    
+    try {
+        const data = await callBackend('/message', { text });
+        renderTeamMessages(data.messages);
+        document.getElementById('teamInput').value = '';
+    } catch (error) {
+        console.error('Error sending message:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function resetTeamFeed() {
+    gameState.teamMessageIds = new Set();
+    gameState.unreadMessages = 0;
+    document.getElementById('teamMessages').innerHTML = '';
+    document.getElementById('teamPanel').style.display = 'none';
+    renderUnreadBadge();
+}
+
+// Abilities
+// The backend enforces charges and cooldowns; buttons only mirror its state
+function updateAbilities(abilities) {
+    if (!abilities) return;
+    
+    gameState.abilities = abilities;
+    renderAbilities();
+}
+
+function renderAbilities() {
+    const now = Date.now() + gameState.serverOffset;
+    
+    document.querySelectorAll('.ability-btn').forEach(button => {
+        const state = gameState.abilities[button.dataset.ability];
+        
+        button.style.display = state ? '' : 'none';
+        if (!state) return;
+        
+        const label = CONFIG.ABILITY_LABELS[button.dataset.ability];
+        const active = state.activeUntil > now;
+        const coolingDown = !active && state.readyAt > now;
+        
+        button.querySelector('.btn-label').textContent =
+            active ? `${label} ${Math.ceil((state.activeUntil - now) / 1000)}s` :
+            coolingDown ? `${label} (${state.charges}) ${Math.ceil((state.readyAt - now) / 1000)}s` :
+            `${label} (${state.charges})`;
+        button.classList.toggle('active', active);
+        button.disabled = state.charges === 0 || active || coolingDown;
+    });
+}
+
+async function activateAbility(ability) {
+    try {
+        const data = await callBackend('/ability', { ability });
+        updateAbilities(data.abilities);
+        showToast(`${CONFIG.ABILITY_LABELS[ability]} activated`, 'success');
+        
+        // Without a socket, fetch what the ability changed straight away
+        if (!isRealtime()) {
+            gameLoop();
+        }
+    } catch (error) {
+        console.error('Error using ability:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// Proximity Alerts
+// The backend only tells hunted players how close the nearest hunter is, as
+// a band. Rising bands vibrate and beep so the warning reaches a pocket.
+function updateDanger(danger) {
+    const previous = gameState.danger;
+    gameState.danger = danger || null;
+    renderDanger();
+    
+    if (CONFIG.DANGER_LEVELS.indexOf(gameState.danger) > CONFIG.DANGER_LEVELS.indexOf(previous)) {
+        alertDanger();
+    }
+}
+
+function renderDanger() {
+    const danger = gameState.danger;
+    const level = CONFIG.DANGER_LEVELS.indexOf(danger);
+    
+    document.getElementById('dangerItem').style.display = danger ? '' : 'none';
+    document.getElementById('dangerDisplay').textContent = danger ? CONFIG.DANGER_LABELS[danger] : '--';
+    document.querySelectorAll('#dangerMeter .danger-segment').forEach((segment, index) => {
+        segment.classList.toggle('lit', index <= level);
+    });
+    
+    // Tint the whole bar so the band shows even at a glance
+    const statusBar = document.getElementById('statusBar');
+    CONFIG.DANGER_LEVELS.forEach(band => statusBar.classList.toggle(`danger-${band}`, band === danger));
+}
+
+function alertDanger() {
+    const alert = CONFIG.DANGER_ALERTS[gameState.danger];
+    if (!alert) return;
+    
+    gameState.dangerAlertAt = Date.now();
+    vibrate(alert.vibration);
+    playTone(alert.tone, alert.beeps);
+}
+
+// Keep repeating the alert while a hunter stays very close
+function repeatDangerAlert() {
+    const alert = CONFIG.DANGER_ALERTS[gameState.danger];
+    
+    if (alert && alert.repeat && Date.now() - gameState.dangerAlertAt >= alert.repeat) {
+        alertDanger();
+    }
+}
+
+// Browsers only allow audio after a user gesture, so this runs on lobby taps
+function unlockAudio() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    
+    if (!gameState.audio) {
+        gameState.audio = new AudioContext();
+    }
+    
+    if (gameState.audio.state === 'suspended') {
+        gameState.audio.resume().catch(error => console.error('Error unlocking audio:', error));
+    }
+}
+
+function playTone(frequency, beeps) {
+    const audio = gameState.audio;
+    if (!audio || audio.state !== 'running') return;
+    
+    for (let i = 0; i < beeps; i++) {
+        const start = audio.currentTime + i * 0.25;
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.3, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+        oscillator.connect(gain).connect(audio.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.2);
+    }
+}
+
+// Capture Alerts
+// A hunter in range only captures after staying there for the confirmation
+// time. Both players see it count down, so the hunted player can run for it.
+function updatePendingCaptures(pendingCaptures) {
+    const previous = gameState.pendingCaptures;
+    gameState.pendingCaptures = pendingCaptures || [];
+    
+    const started = gameState.pendingCaptures.some(pending => !previous.some(other =>
+        other.hunterId === pending.hunterId && other.huntedId === pending.huntedId
+    ));
+    
+    if (started && !isReferee()) {
+        vibrate([500, 100, 500]);
+        // Send and fetch at full speed until it's settled
+        adaptUpdateRate();
+    }
+    
+    renderPendingCaptures(Date.now() + gameState.serverOffset);
+}
+
+function renderPendingCaptures(now) {
+    const alertEl = document.getElementById('captureAlert');
+    const pendingCaptures = gameState.pendingCaptures;
+    
+    alertEl.textContent = pendingCaptures
+        .map(pending => describePendingCapture(pending, gameState.playerId, now))
+        .join('\n');
+    alertEl.style.display = pendingCaptures.length > 0 ? '' : 'none';
+    alertEl.classList.toggle('target', pendingCaptures.some(pending => pending.huntedId === gameState.playerId));
+}
+
+// Keep the screen on during the game: hidden pages can't vibrate, and the
+// meter stays readable with the phone half out of a pocket
+async function requestWakeLock() {
+    if (!navigator.wakeLock || gameState.wakeLock || !gameState.isActive) return;
+    
+    try {
+        gameState.wakeLock = await navigator.wakeLock.request('screen');
+        gameState.wakeLock.addEventListener('release', () => {
+            gameState.wakeLock = null;
+        });
+    } catch (error) {
+        console.error('Error requesting wake lock:', error);
+    }
+}
+
+function releaseWakeLock() {
+    if (gameState.wakeLock) {
+        gameState.wakeLock.release();
+        gameState.wakeLock = null;
+    }
+}
+
+// Referee
+// Referees don't play: they see every player live and run the game through
+// the backend, which passes each action on to the players
+function isReferee() {
+    return gameState.playerRole === 'referee';
+}
+
+function describeCheatFlags(cheatFlags) {
+    return [...new Set(cheatFlags.map(flag => flag.reason))].join(', ');
+}
+
+// New public events (captures, referee actions) pop up for everyone;
+// referees also keep the full log, out-of-bounds events included
+function updateEvents(events) {
+    if (!events) return;
+    
+    const fresh = events.filter(event => !gameState.eventIds.has(event.eventId));
+    fresh.forEach(event => gameState.eventIds.add(event.eventId));
+    
+    if (fresh.length > 0) {
+        showToast(fresh[fresh.length - 1].text, 'warning');
+    }
+    
+    if (!isReferee()) return;
+    
+    const list = document.getElementById('refereeEvents');
+    list.innerHTML = '';
+    
+    events.slice().reverse().forEach(event => {
+        const item = document.createElement('li');
+        item.className = `referee-event ${event.type}`;
+        
+        const time = document.createElement('small');
+        time.textContent = formatClock(event.timestamp);
+        
+        item.append(time, ` ${event.text}`);
+        list.appendChild(item);
+    });
+}
+
+// The referee can pause the game, and resuming moves the end time back
+function updateGameClock(status, endTime) {
+    if (endTime) {
+        gameState.endTime = endTime;
+    }
+    
+    gameState.paused = status === 'paused';
+    document.getElementById('refereePauseBtn').textContent = gameState.paused ? '▶️ Resume' : '⏸ Pause';
+}
+
+function renderRefereePlayers(players) {
+    if (!isReferee() || !players) return;
+    
+    const list = document.getElementById('refereePlayers');
+    list.innerHTML = '';
+    
+    players.filter(player => player.role !== 'referee').forEach(player => {
+        const item = document.createElement('li');
+        item.className = 'referee-player';
+        
+        const name = document.createElement('span');
+        name.className = 'referee-player-name';
+        name.textContent = player.playerName +
+            (player.disqualified ? ' 🚫' : player.outOfBounds ? ' 🚧' : '') +
+            (player.cheatFlags.length > 0 ? ` ⚠️${player.cheatFlags.length}` : '');
+        name.title = describeCheatFlags(player.cheatFlags);
+        
+        const role = document.createElement('span');
+        role.className = `role-badge ${player.role}`;
+        role.textContent = player.role;
+        
+        const otherRole = player.role === 'hunter' ? 'hunted' : 'hunter';
+        const swap = document.createElement('button');
+        swap.className = 'referee-action';
+        swap.textContent = `Make ${otherRole}`;
+        swap.addEventListener('click', () => refereeAction('/setRole', { playerId: player.playerId, role: otherRole }));
+        
+        const kick = document.createElement('button');
+        kick.className = 'referee-action danger';
+        kick.textContent = 'Kick';
+        kick.addEventListener('click', () => {
+            if (confirm(`Remove ${player.playerName} from the game?`)) {
+                refereeAction('/kickPlayer', { playerId: player.playerId });
+            }
+        });
+        
+        item.append(name, role, swap, kick);
+        list.appendChild(item);
+    });
+}
+
+// Polling has no 'game' pushes, so referees fetch the player list themselves
+async function refreshRefereePlayers() {
+    try {
+        const data = await callBackend('/game');
+        renderRefereePlayers(data.game.players);
+    } catch (error) {
+        console.error('Error fetching players:', error);
+    }
+}
+
+async function refereeAction(path, body) {
+    try {
+        const data = await callBackend(path, body);
+        
+        if (data.game.result) {
+            showResult(data.game.result);
+            return;
+        }
+        
+        updateGameClock(data.game.status, data.game.endTime);
+        renderRefereePlayers(data.game.players);
+        
+        if (!isRealtime()) {
+            gameLoop();
+        }
+    } catch (error) {
+        console.error('Error in referee action:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function togglePause() {
+    refereeAction(gameState.paused ? '/resumeGame' : '/pauseGame', {});
+}
+
+function refereeEndGame() {
+    const winner = document.getElementById('refereeWinner').value || null;
+    
+    if (confirm('End the game now?')) {
+        refereeAction('/endGame', { winner });
+    }
+}
+
+function toggleRefereePanel() {
+    const panel = document.getElementById('refereePanel');
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+}
+
+function resetRefereePanel() {
+    gameState.paused = false;
+    gameState.eventIds = new Set();
+    gameState.refereeFramed = false;
+    document.getElementById('refereePlayers').innerHTML = '';
+    document.getElementById('refereeEvents').innerHTML = '';
+    document.getElementById('refereePanel').style.display = 'none';
+    document.getElementById('refereeBtn').style.display = isReferee() ? '' : 'none';
+    updateGameClock(null, null);
+}
+
+// Infection mode: the backend moves caught players over to the hunters
+function updateRole(role) {
+    if (!role || role === gameState.playerRole) return;
+    gameState.playerRole = role;
+    
+    renderRoleBadge();
+    
+    if (gameState.playerMarker) {
+        gameState.playerMarker.setIcon(playerIcon(role, 'self')).setPopupContent(`You (${role})`);
+    }
+    
+    if (gameState.accuracyCircle) {
+        gameState.accuracyCircle.setStyle({ color: roleColor(role), fillColor: roleColor(role) });
+    }
+    
+    // Our old opponents are now teammates; markers are rebuilt for the new side
+    clearMarkers(gameState.otherMarkers);
+    clearMarkers(gameState.trailLayers);
+    clearMarkers(gameState.teamMarkers);
+    gameState.sightings = {};
+    
+    showToast(gameState.rules.mode === 'infection' && role === 'hunter'
+        ? `You've been caught! You are now a ${role}`
+        : `The referee made you a ${role}`, 'warning');
+    vibrate(CONFIG.ALERT_VIBRATION);
+}
+
+function clearMarkers(markers) {
+    Object.keys(markers).forEach(playerId => {
+        gameState.map.removeLayer(markers[playerId]);
+        delete markers[playerId];
+    });
+}
+
+function renderRoleBadge() {
+    const roleBadge = document.getElementById('playerRole');
+    roleBadge.textContent = gameState.playerRole;
+    roleBadge.className = `role-badge ${gameState.playerRole}`;
+}
+
+// Adaptive Updates
+// GPS and the game loop drain the battery most. In adaptive mode they speed
+// up when opponents are close, the game is nearly over or we're moving fast,
+// and slow down when we're standing still or nobody is near. Battery saver
+// (chosen, or adaptive on a low battery) runs a step slower throughout.
+function loadGpsMode() {
+    try {
+        gameState.gpsMode = localStorage.getItem(CONFIG.GPS_MODE_STORAGE_KEY) || 'adaptive';
+    } catch (error) {
+        console.error('Error reading GPS mode:', error);
+    }
+    
+    document.getElementById('gpsMode').value = gameState.gpsMode;
+}
+
+function saveGpsMode() {
+    gameState.gpsMode = document.getElementById('gpsMode').value;
+    
+    try {
+        localStorage.setItem(CONFIG.GPS_MODE_STORAGE_KEY, gameState.gpsMode);
+    } catch (error) {
+        console.error('Error saving GPS mode:', error);
+    }
+}
+
+// Where the Battery API is supported, follow the battery so adaptive mode
+// can turn to battery saver when it runs low
+async function watchBattery() {
+    if (!navigator.getBattery) return;
+    
+    try {
+        gameState.battery = await navigator.getBattery();
+    } catch (error) {
+        console.error('Error reading battery:', error);
+        return;
+    }
+    
+    const onChange = () => {
+        if (gameState.isActive) adaptUpdateRate();
+    };
+    gameState.battery.addEventListener('levelchange', onChange);
+    gameState.battery.addEventListener('chargingchange', onChange);
+}
+
+function isLowBattery() {
+    const battery = gameState.battery;
+    return battery !== null && !battery.charging && battery.level <= CONFIG.LOW_BATTERY_LEVEL;
+}
+
+function isBatterySaver() {
+    return gameState.gpsMode === 'saver' || (gameState.gpsMode === 'adaptive' && isLowBattery());
+}
+
+// The rate the situation calls for
+function chooseUpdateRate() {
+    // Referees have no GPS, and polling slower only delays what they see
+    if (gameState.gpsMode === 'full' || isReferee()) return 'fast';
+    
+    const rates = Object.keys(CONFIG.UPDATE_RATES);
+    const captureDistance = gameState.rules.captureDistance;
+    const nearest = gameState.nearestOpponent;
+    const speed = gameState.speed;
+    const timeLeft = gameState.endTime - (Date.now() + gameState.serverOffset);
+    
+    const isClose = gameState.pendingCaptures.length > 0 ||
+        gameState.danger === 'near' || gameState.danger === 'very_close' ||
+        (nearest !== null && nearest <= captureDistance * CONFIG.CLOSE_RANGE);
+    const isFar = gameState.danger === 'far' ||
+        (nearest !== null && nearest > captureDistance * CONFIG.FAR_RANGE);
+    
+    let rate = 'normal';
+    
+    if (isClose || (gameState.hasStarted && timeLeft <= CONFIG.NEARLY_OVER) || speed >= CONFIG.FAST_SPEED) {
+        rate = 'fast';
+    } else if (isFar || (speed !== null && speed < CONFIG.STATIONARY_SPEED)) {
+        rate = 'slow';
+    }
+    
+    // A step slower, down to the slowest
+    if (isBatterySaver()) {
+        rate = rates[Math.min(rates.indexOf(rate) + 1, rates.length - 1)];
+    }
+    
+    return rate;
+}
+
+// Never faster than the game's interval, and (unless that's longer) never
+// so slow the backend loses our live position
+function getUpdateInterval(rate) {
+    const base = gameState.rules.updateInterval;
+    return Math.max(base, Math.min(base * CONFIG.UPDATE_RATES[rate].factor, CONFIG.MAX_ADAPTIVE_INTERVAL));
+}
+
+function adaptUpdateRate() {
+    const rate = chooseUpdateRate();
+    
+    if (rate !== gameState.updateRate) {
+        gameState.updateRate = rate;
+        
+        if (gameState.updateInterval) {
+            clearInterval(gameState.updateInterval);
+            gameState.updateInterval = setInterval(gameLoop, getUpdateInterval(rate));
+        }
+        
+        // GPS options are fixed per watch, so start a new one
+        if (gameState.watchId !== null) {
+            stopGPSTracking();
+            startGPSTracking();
+        }
+    }
+    
+    if (gameState.gpsMode === 'adaptive' && isLowBattery() && !gameState.lowBatteryWarned) {
+        gameState.lowBatteryWarned = true;
+        showToast('Battery low - switching to battery saver', 'warning');
+    }
+    
+    renderUpdateRate();
+}
+
+function renderUpdateRate() {
+    const rate = gameState.updateRate;
+    
+    document.getElementById('rateItem').style.display = isReferee() ? 'none' : '';
+    document.getElementById('rateDisplay').textContent =
+        `${isBatterySaver() ? '🔋 ' : ''}${CONFIG.UPDATE_RATES[rate].label} · ${getUpdateInterval(rate) / 1000}s`;
+}
+
+// Game Loop
+async function gameLoop() {
+    adaptUpdateRate();
+    extrapolatePosition();
+    
+    // A socket that's stopped acknowledging our fixes is as good as closed
+    if (isRealtime() && isSocketStalled()) {
+        abandonRealtime();
+    }
+    
+    // With the socket open, positions go up it and updates arrive as pushes
+    if (isRealtime()) {
+        if (gameState.lastPosition && gameState.locationQueue.length > 0) {
+            // Back from a dead zone: the batch goes over HTTP, in order
+            queueLocation(gameState.lastPosition);
+            await flushLocationQueue();
+        } else if (gameState.lastPosition) {
+            sendOverSocket(gameState.lastPosition);
+        }
+        return;
+    }
+    
+    // Send current position if available
+    if (gameState.lastPosition) {
+        await updateLocation(gameState.lastPosition);
+    }
+    
+    // Fetch the opponent positions we're allowed to see
+    const data = await getLocations();
+    
+    if (!gameState.isActive) return;
+    
+    if (data && data.serverTime) {
+        gameState.serverOffset = data.serverTime - Date.now();
+    }
+    
+    // The backend decides captures; every client ends on the same result
+    if (data && data.result) {
+        if (data.role) gameState.playerRole = data.role;
+        showResult(data.result);
+        return;
+    }
+    
+    if (data && data.locations) {
+        updateGameClock(data.status, data.endTime);
+        updateEvents(data.events);
+        updateRole(data.role);
+        updateZone(data.zone);
+        updateOtherPlayers(data.locations, data.count);
+        updateTeammates(data.teammates);
+        renderTeamMessages(data.messages);
+        updateAbilities(data.abilities);
+        updatePenalty(data.penalty);
+        updateDanger(data.danger);
+        updatePendingCaptures(data.pendingCaptures);
+    }
+    
+    if (isReferee()) {
+        refreshRefereePlayers();
+    }
+    
+    // Update last update timestamp
+    document.getElementById('lastUpdate').textContent = formatClock(Date.now());
+}
+
+// Describe the backend's game result from this player's point of view
+function showResult(result) {
+    const lines = result.reason === 'timeout' ? ['Time\'s up! Hunted players survived.'] : [];
+    
+    if (result.reason === 'infection') {
+        lines.push('Everyone has been infected!');
+    }
+    
+    if (result.reason === 'referee') {
+        lines.push(`The referee ended the game${result.winner ? '' : ' with no winner'}.`);
+    }
+    
+    if (result.reason === 'forfeit') {
+        lines.push(result.winner === 'hunter' ? 'No hunted players are left in the game.' : 'No hunters are left in the game.');
+    }
+    
+    lines.push(...result.captures.map(capture =>
+        `${capture.hunterName} ${capture.converted ? 'infected' : 'caught'} ${capture.huntedName} at ${formatClock(capture.timestamp)}`
+    ));
+    
+    if (result.survivors.length > 0) {
+        lines.push(`Survived: ${result.survivors.map(p => p.playerName).join(', ')}`);
+    }
+    
+    if (result.disqualified.length > 0) {
+        lines.push(`Disqualified for leaving the play area: ${result.disqualified.map(p => p.playerName).join(', ')}`);
+    }
+    
+    if (isReferee() && result.winner) {
+        lines.push(result.winner === 'hunter' ? 'Hunters win!' : 'Hunted win!');
+    }
+    
+    endGame(getOutcome(result, gameState.playerId, gameState.playerRole), lines.join('\n'));
+    renderMatchStats(result.stats);
+    loadReplay();
+}
+
+// Counts down from the backend's shared start and end times
+function updateTimer() {
+    const now = Date.now() + gameState.serverOffset;
+    const timerEl = document.getElementById('timer');
+    
+    renderFixQuality();
+    renderOpponentAges(now);
+    
+    if (now < gameState.startTime) {
+        // Round up so the countdown reads 0:01 rather than 0:00 in its last second
+        timerEl.textContent = formatTime(gameState.startTime - now + 999);
+        timerEl.className = 'timer warning';
+        return;
+    }
+    
+    if (!gameState.hasStarted) {
+        gameState.hasStarted = true;
+        showToast(`Go! You are a ${gameState.playerRole}`, 'success');
+    }
+    
+    if (gameState.paused) {
+        timerEl.textContent = '⏸ Paused';
+        timerEl.className = 'timer warning';
+        return;
+    }
+    
+    // The backend declares the timeout; the next game loop picks it up
+    const remaining = Math.max(0, gameState.endTime - now);
+    timerEl.textContent = formatTime(remaining);
+    
+    // Change color based on time remaining
+    if (remaining < 60000) { // Last minute
+        timerEl.className = 'timer danger';
+    } else if (remaining < 180000) { // Last 3 minutes
+        timerEl.className = 'timer warning';
+    } else {
+        timerEl.className = 'timer';
+    }
+    
+    updateZoneTimer(now);
+    renderAbilities();
+    repeatDangerAlert();
+    renderPendingCaptures(now);
+}
+
+// Time until the announced zone closes, beside the game timer
+function updateZoneTimer(now) {
+    const zoneTimerEl = document.getElementById('zoneTimer');
+    const next = gameState.zone && gameState.zone.next;
+    
+    if (!next || next.closeAt <= now) {
+        zoneTimerEl.style.display = 'none';
+        return;
+    }
+    
+    zoneTimerEl.style.display = '';
+    zoneTimerEl.textContent = `🎯 ${formatTime(next.closeAt - now)}`;
+}
+
+// Replay
+// Animates every player's recorded track on the end screen
+async function loadReplay() {
+    let track;
+    try {
+        track = await callBackend('/track?format=geojson');
+    } catch (error) {
+        console.error('Error loading replay:', error);
+        return;
+    }
+    
+    // Ignore a track that arrives after we've moved on
+    if (!document.getElementById('endScreen').classList.contains('active')) return;
+    
+    document.getElementById('replay').style.display = '';
+    
+    const map = L.map('replayMap', {
+        zoomControl: false,
+        attributionControl: false,
+    });
+    
+    L.tileLayer(CONFIG.TILE_URL, {
+        maxZoom: CONFIG.MAP_MAX_ZOOM,
+        crossOrigin: true,
+    }).addTo(map);
+    
+    const players = track.features
+        .filter(feature => feature.geometry.type === 'LineString' && feature.geometry.coordinates.length > 0)
+        .map(feature => {
+            const { playerName, role, coordTimes } = feature.properties;
+            const color = roleColor(role);
+            const points = feature.geometry.coordinates.map(([lon, lat], i) => ({
+                latlng: [lat, lon],
+                timestamp: coordTimes[i],
+            }));
+            
+            // Faint full path, with the path so far drawn over it
+            L.polyline(points.map(point => point.latlng), { color, weight: 2, opacity: 0.3 }).addTo(map);
+            
+            return {
+                points,
+                trail: L.polyline([], { color, weight: 4 }).addTo(map),
+                marker: L.circleMarker(points[0].latlng, { color, fillColor: color, fillOpacity: 1, radius: 7 })
+                    .bindTooltip(escapeHtml(playerName))
+                    .addTo(map),
+            };
+        });
+    
+    track.features
+        .filter(feature => feature.properties.type === 'capture')
+        .forEach(feature => {
+            const [lon, lat] = feature.geometry.coordinates;
+            const { hunterName, huntedName, timestamp } = feature.properties;
+            
+            L.marker([lat, lon], {
+                icon: L.divIcon({ className: 'capture-marker', html: '🪤', iconSize: [24, 24] }),
+            })
+                .bindPopup(`${escapeHtml(hunterName)} caught ${escapeHtml(huntedName)} at ${formatClock(timestamp)}`)
+                .addTo(map);
+        });
+    
+    const allPoints = players.flatMap(player => player.points.map(point => point.latlng));
+    if (allPoints.length > 0) {
+        map.fitBounds(allPoints, { padding: [20, 20] });
+    } else {
+        map.setView([0, 0], 2);
+    }
+    
+    const { startTime, endTime } = track.properties;
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.min = startTime;
+    scrubber.max = endTime;
+    
+    gameState.replay = { map, players, startTime, endTime, interval: null };
+    renderReplayFrame(startTime);
+}
+
+// Show everyone where they were at `time`
+function renderReplayFrame(time) {
+    const replay = gameState.replay;
+    
+    replay.players.forEach(player => {
+        const shown = player.points.filter(point => point.timestamp <= time);
+        const current = shown.length > 0 ? shown[shown.length - 1] : player.points[0];
+        
+        player.trail.setLatLngs(shown.map(point => point.latlng));
+        player.marker.setLatLng(current.latlng);
+    });
+    
+    document.getElementById('replayScrubber').value = time;
+    document.getElementById('replayTime').textContent = formatTime(time - replay.startTime);
+}
+
+function toggleReplay() {
+    const replay = gameState.replay;
+    if (!replay) return;
+    
+    if (replay.interval) {
+        pauseReplay();
+        return;
+    }
+    
+    let time = Number(document.getElementById('replayScrubber').value);
+    if (time >= replay.endTime) {
+        time = replay.startTime;
+    }
+    
+    document.getElementById('replayPlayBtn').textContent = '⏸️';
+    replay.interval = setInterval(() => {
+        time = Math.min(time + CONFIG.REPLAY_SPEED * CONFIG.REPLAY_FRAME_INTERVAL, replay.endTime);
+        renderReplayFrame(time);
+        
+        if (time >= replay.endTime) {
+            pauseReplay();
+        }
+    }, CONFIG.REPLAY_FRAME_INTERVAL);
+}
+
+function pauseReplay() {
+    const replay = gameState.replay;
+    if (!replay || !replay.interval) return;
+    
+    clearInterval(replay.interval);
+    replay.interval = null;
+    document.getElementById('replayPlayBtn').textContent = '▶️';
+}
+
+function scrubReplay() {
+    if (!gameState.replay) return;
+    
+    pauseReplay();
+    renderReplayFrame(Number(document.getElementById('replayScrubber').value));
+}
+
+function closeReplay() {
+    if (!gameState.replay) return;
+    
+    pauseReplay();
+    gameState.replay.map.remove();
+    gameState.replay = null;
+    document.getElementById('replay').style.display = 'none';
+}
+
+// Save the game's tracks as a GPX or GeoJSON file
+async function downloadTrack(format) {
+    try {
+        const response = await fetch(`${CONFIG.BACKEND_URL}/track?format=${format}`, {
+            headers: { Authorization: `Bearer ${gameState.token}` },
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `hunter-hunted-${gameState.gameCode}.${format}`;
+        link.click();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error downloading track:', error);
+        // 410: retention has dropped the tracks
+        showToast(error.status === 410 ? error.message : 'Failed to download track', 'error');
+    }
+}
+
+// Rules
+function readRulesForm() {
+    const value = id => Number(document.getElementById(id).value);
+    
+    return {
+        gameDuration: Math.round(value('ruleDuration') * 60000),
+        positionDelay: Math.round(value('ruleDelay') * 60000),
+        captureDistance: value('ruleCapture'),
+        captureConfirmTime: Math.round(value('ruleConfirm') * 1000),
+        updateInterval: Math.round(value('ruleInterval') * 1000),
+        maxPlayers: value('ruleMaxPlayers'),
+        outOfBoundsGrace: Math.round(value('ruleGrace') * 1000),
+        outOfBoundsPenalty: document.getElementById('rulePenalty').value,
+        rejectFlaggedUpdates: document.getElementById('ruleRejectFlagged').checked,
+        mode: document.getElementById('ruleMode').value,
+        zoneShrinks: value('ruleZoneShrinks'),
+        abilityCharges: value('ruleAbilityCharges'),
+        trailLength: value('ruleTrailLength'),
+        playArea: readPlayArea(),
+    };
+}
+
+// A circle is centred on the creator when the game is created. A polygon's
+// points are null while a corner can't be read; with none entered the
+// backend says how many it needs.
+function readPlayArea() {
+    if (document.getElementById('ruleAreaShape').value === 'polygon') {
+        return { type: 'polygon', points: parseCorners(document.getElementById('ruleAreaPoints').value) };
+    }
+    
+    const radius = Number(document.getElementById('ruleAreaRadius').value);
+    return radius > 0 ? { type: 'circle', radius } : null;
+}
+
+function renderAreaShape() {
+    const polygon = document.getElementById('ruleAreaShape').value === 'polygon';
+    
+    document.querySelectorAll('.area-circle').forEach(element => { element.hidden = polygon; });
+    document.querySelectorAll('.area-polygon').forEach(element => { element.hidden = !polygon; });
+}
+
+// Walk the boundary and add each corner where you stand
+async function addCornerHere() {
+    let position;
+    try {
+        position = await getCurrentPosition();
+    } catch (error) {
+        console.error('Error locating corner:', error);
+        showToast('Your location is needed to add a corner', 'error');
+        return;
+    }
+    
+    const input = document.getElementById('ruleAreaPoints');
+    const lines = input.value.split('\n').filter(line => line.trim() !== '');
+    lines.push(`${position.coords.latitude.toFixed(6)}, ${position.coords.longitude.toFixed(6)}`);
+    input.value = lines.join('\n');
+    
+    renderRules('rulesList', readRulesForm());
+    showToast(`Corner ${lines.length} added`, 'success');
+}
+
+function renderRules(listId, rules) {
+    const hold = rules.captureConfirmTime > 0 ? ` for ${formatDuration(rules.captureConfirmTime)}` : '';
+    const items = [
+        `Game duration: ${formatDuration(rules.gameDuration)}`,
+        `You see opponent positions from ${formatDuration(rules.positionDelay)} ago`,
+        rules.mode === 'infection'
+            ? `Infection: hunted caught within ${rules.captureDistance}m${hold} become hunters; hunters win once everyone is infected`
+            : rules.captureConfirmTime > 0
+                ? `Hunters win by staying within ${rules.captureDistance}m of a hunted player for ${formatDuration(rules.captureConfirmTime)}`
+                : `Hunters win if they get within ${rules.captureDistance}m of hunted`,
+        'Captures allow for GPS accuracy: a poor fix can neither catch you nor get you away',
+        `Up to ${rules.maxPlayers} players, updating every ${rules.updateInterval / 1000}s`,
+        rules.rejectFlaggedUpdates
+            ? 'Suspicious GPS updates (spoofing, impossible speed) are rejected'
+            : 'Suspicious GPS updates (spoofing, impossible speed) are flagged to everyone',
+        rules.abilityCharges > 0
+            ? `Abilities: ${rules.abilityCharges} each of radar (hunters) and decoy / go dark (hunted)`
+            : 'No abilities',
+        rules.trailLength > 0
+            ? `Opponents leave a trail of their last ${rules.trailLength} position${rules.trailLength === 1 ? '' : 's'} before the one you see`
+            : 'Opponents leave no trail: you only see one position at a time',
+        'Keep your phone\'s location services on',
+    ];
+    
+    if (rules.playArea) {
+        const area = rules.playArea.type === 'circle'
+            ? `within ${rules.playArea.radius}m of the start`
+            : 'inside the marked play area';
+        const penalty = rules.outOfBoundsPenalty === 'disqualify'
+            ? 'are disqualified'
+            : 'have their live position revealed';
+        const grace = rules.outOfBoundsGrace > 0 ? ` for ${formatDuration(rules.outOfBoundsGrace)}` : '';
+        items.splice(3, 0, `Stay ${area}: players outside${grace} ${penalty}`);
+        
+        if (rules.zoneShrinks > 0) {
+            items.splice(4, 0, `The play area shrinks ${rules.zoneShrinks} time${rules.zoneShrinks === 1 ? '' : 's'}; each new zone is shown on the map before it closes`);
+        }
+    }
+    
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+}
+
+// Profiles
+// The backend keeps our stats and match history under a profile. Its token
+// lives in localStorage, so we stay the same player from game to game.
+function loadProfileToken() {
+    try {
+        gameState.profileToken = localStorage.getItem(CONFIG.PROFILE_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error reading profile token:', error);
+    }
+}
+
+function saveProfileToken(token) {
+    gameState.profileToken = token;
+    
+    try {
+        if (token) {
+            localStorage.setItem(CONFIG.PROFILE_STORAGE_KEY, token);
+        } else {
+            localStorage.removeItem(CONFIG.PROFILE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Error saving profile token:', error);
+    }
+}
+
+// Our profile token, creating the profile on our first game.
+// Without one we can still play; the game just isn't recorded.
+async function ensureProfile(playerName) {
+    if (gameState.profileToken) return gameState.profileToken;
+    
+    try {
+        const data = await callBackend('/profile', { playerName }, null);
+        saveProfileToken(data.profileToken);
+    } catch (error) {
+        console.error('Error creating profile:', error);
+    }
+    
+    return gameState.profileToken;
 }
 
-function formatTime(milliseconds) {
-    const totalSeconds = Math.floor(milliseconds / 1000);
-    const minutes = Math.floor(totalSeconds / 60);
-    const seconds = totalSeconds % 60;
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+async function loadProfile() {
+    if (!gameState.profileToken) {
+        renderProfile();
+        return;
+    }
+    
+    try {
+        const data = await callBackend('/profile', null, gameState.profileToken);
+        gameState.profile = data.profile;
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        
+        // The backend no longer accepts it (its secret changed): start afresh
+        if (error.status === 401) {
+            saveProfileToken(null);
+        }
+    }
+    
+    renderProfile();
 }
 
-function formatAccuracy(accuracy) {
-    if (accuracy < 1000) {
-        return `${Math.round(accuracy)}m`;
+function renderProfile() {
+    const profile = gameState.profile;
+    const statsEl = document.getElementById('profileStats');
+    const matchesEl = document.getElementById('profileMatches');
+    statsEl.innerHTML = '';
+    matchesEl.innerHTML = '';
+    
+    if (!profile || profile.stats.games === 0) {
+        statsEl.textContent = 'Play a game to start your stats.';
+        return;
     }
-    return `${(accuracy / 1000).toFixed(1)}km`;
+    
+    const { stats } = profile;
+    [
+        ['Games', stats.games],
+        ['Wins', stats.wins],
+        ['Captures', stats.captures],
+        ['Times caught', stats.timesCaught],
+        ['Distance', formatDistance(stats.distance)],
+        ['Longest survival', formatTime(stats.longestSurvival)],
+    ].forEach(([label, value]) => {
+        const item = document.createElement('div');
+        item.className = 'profile-stat';
+        
+        const valueEl = document.createElement('strong');
+        valueEl.textContent = value;
+        
+        item.append(valueEl, label);
+        statsEl.appendChild(item);
+    });
+    
+    profile.matches.slice(0, CONFIG.RECENT_MATCHES).forEach(match => {
+        const item = document.createElement('li');
+        item.className = `profile-match ${match.result}`;
+        item.textContent = `${new Date(match.endedAt).toLocaleDateString()} · ${match.role} · ${match.result}` +
+            (match.captures > 0 ? ` · ${match.captures} caught` : '') +
+            ` · ${formatDistance(match.distance)}` +
+            (match.survivalTime !== null ? ` · survived ${formatTime(match.survivalTime)}` : '');
+        matchesEl.appendChild(item);
+    });
 }
 
-// Backend API Functions
-async function updateLocation(lat, lon, accuracy) {
+async function loadLeaderboard() {
+    const sort = document.getElementById('leaderboardSort').value;
+    const list = document.getElementById('leaderboard');
+    
     try {
-        const response = await fetch(`${CONFIG.BACKEND_URL}/updateLocation`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                playerId: gameState.playerId,
-                playerName: gameState.playerName,
-                role: gameState.playerRole,
-                gameCode: gameState.gameCode,
-                lat,
-                lon,
-                accuracy,
-                timestamp: Date.now(),
-            }),
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await callBackend(`/leaderboard?sort=${sort}`, null, null);
+        list.innerHTML = '';
+        
+        if (data.leaderboard.length === 0) {
+            list.textContent = 'No games recorded yet.';
+            return;
         }
-
-        return await response.json();
+        
+        data.leaderboard.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `leaderboard-entry ${gameState.profile && entry.profileId === gameState.profile.profileId ? 'mine' : ''}`;
+            item.textContent = `${entry.rank}. ${entry.playerName}: ${describeLeaderboardStat(sort, entry.stats)} ` +
+                `(${entry.stats.games} game${entry.stats.games === 1 ? '' : 's'})`;
+            list.appendChild(item);
+        });
     } catch (error) {
-        console.error('Error updating location:', error);
-        showToast('Failed to update location', 'error');
-        return null;
+        console.error('Error loading leaderboard:', error);
+        list.textContent = 'Leaderboard unavailable.';
     }
 }
 
-async function getLocations() {
-    try {
-        const response = await fetch(
-            `${CONFIG.BACKEND_URL}/locations?gameCode=${gameState.gameCode}`
-        );
+function describeLeaderboardStat(sort, stats) {
+    return sort === 'captures' ? `${stats.captures} capture${stats.captures === 1 ? '' : 's'}` :
+        sort === 'distance' ? formatDistance(stats.distance) :
+        sort === 'survival' ? `survived ${formatTime(stats.longestSurvival)}` :
+        `${stats.wins} win${stats.wins === 1 ? '' : 's'}`;
+}
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+// Everyone's numbers for the game that just ended
+function renderMatchStats(stats) {
+    const table = document.getElementById('matchStats');
+    table.innerHTML = '';
+    table.style.display = stats && stats.length > 0 ? '' : 'none';
+    if (!stats) return;
+    
+    const header = document.createElement('tr');
+    ['Player', 'Role', 'Captures', 'Distance', 'Survived'].forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    table.appendChild(header);
+    
+    stats.forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = entry.playerId === gameState.playerId ? 'mine' : '';
+        
+        [
+            entry.playerName,
+            entry.role === entry.finalRole ? entry.role : `${entry.role} → ${entry.finalRole}`,
+            entry.captures,
+            formatDistance(entry.distance),
+            entry.survivalTime === null ? '-' : `${formatTime(entry.survivalTime)}${entry.caught ? ' 🪤' : ''}`,
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        table.appendChild(row);
+    });
+}
 
-        return await response.json();
-    } catch (error) {
-        console.error('Error fetching locations:', error);
+// Lobby
+function readStartForm() {
+    const name = document.getElementById('playerName').value.trim();
+    const code = document.getElementById('gameCode').value.trim().toUpperCase();
+    const selectedRole = document.querySelector('.role-btn.selected');
+    
+    if (!name || !code || !selectedRole) {
+        showToast('Please fill all fields', 'warning');
         return null;
     }
+    
+    return {
+        playerName: name,
+        role: selectedRole.dataset.role,
+        gameCode: code,
+    };
 }
 
-// GPS Functions
-function startGPSTracking() {
-    if (!navigator.geolocation) {
-        showToast('Geolocation not supported', 'error');
+async function createGame() {
+    const rules = readRulesForm();
+    
+    if (rules.playArea && rules.playArea.type === 'polygon' && !rules.playArea.points) {
+        showToast('Enter each play area corner as "lat, lon" on its own line', 'error');
         return;
     }
-
-    const options = {
-        enableHighAccuracy: true,
-        timeout: 10000,
-        maximumAge: 0,
-    };
-
-    gameState.watchId = navigator.geolocation.watchPosition(
-        handlePositionSuccess,
-        handlePositionError,
-        options
-    );
+    
+    if (rules.playArea && rules.playArea.type === 'circle') {
+        try {
+            const position = await getCurrentPosition();
+            rules.playArea.center = {
+                lat: position.coords.latitude,
+                lon: position.coords.longitude,
+            };
+        } catch (error) {
+            console.error('Error locating play area:', error);
+            showToast('Your location is needed to centre the play area', 'error');
+            return;
+        }
+    }
+    
+    await enterLobby('/createGame', { rules });
 }
 
-function stopGPSTracking() {
-    if (gameState.watchId !== null) {
-        navigator.geolocation.clearWatch(gameState.watchId);
-        gameState.watchId = null;
-    }
+async function joinGame() {
+    await enterLobby('/joinGame');
 }
 
-function handlePositionSuccess(position) {
-    const { latitude, longitude, accuracy } = position.coords;
+async function enterLobby(path, extra = {}) {
+    const player = readStartForm();
+    if (!player) return;
     
-    // Update accuracy display
-    document.getElementById('accuracyDisplay').textContent = formatAccuracy(accuracy);
+    const profileToken = await ensureProfile(player.playerName);
     
-    // Only use accurate readings
-    if (accuracy > CONFIG.MAX_ACCURACY_THRESHOLD) {
-        console.warn(`GPS accuracy too low: ${accuracy}m`);
+    let data;
+    try {
+        data = await callBackend(path, { ...player, ...extra, profileToken });
+    } catch (error) {
+        console.error('Error entering lobby:', error);
+        showToast(error.message, 'error');
         return;
     }
     
-    gameState.lastPosition = {
-        lat: latitude,
-        lon: longitude,
-        accuracy,
-        timestamp: Date.now(),
-    };
+    gameState.playerId = data.playerId;
+    gameState.token = data.token;
+    gameState.playerName = player.playerName;
+    gameState.playerRole = player.role;
+    gameState.gameCode = data.game.gameCode;
     
-    // Update map
-    updatePlayerMarker(latitude, longitude, accuracy);
-}
-
-function handlePositionError(error) {
-    let message = 'GPS error';
+    gameState.rules = data.game.rules;
     
-    switch (error.code) {
-        case error.PERMISSION_DENIED:
-            message = 'Location permission denied';
-            break;
-        case error.POSITION_UNAVAILABLE:
-            message = 'Location unavailable';
-            break;
-        case error.TIMEOUT:
-            message = 'Location request timeout';
-            break;
-    }
+    document.getElementById('lobbyCode').textContent = gameState.gameCode;
+    renderRules('lobbyRules', gameState.rules);
     
-    console.error('GPS error:', message, error);
-    showToast(message, 'error');
-}
-
-// Map Functions
-function initMap() {
-    gameState.map = L.map('map', {
-        zoomControl: false,
-        attributionControl: false,
-    }).setView([0, 0], 16);
-
-    // Use OpenStreetMap tiles (free)
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        maxZoom: 19,
-    }).addTo(gameState.map);
-
-    // Add zoom control to bottom right
-    L.control.zoom({
-        position: 'bottomright'
-    }).addTo(gameState.map);
+    // Switch screens
+    document.getElementById('startScreen').classList.remove('active');
+    document.getElementById('lobbyScreen').classList.add('active');
+    
+    renderLobby(data.game);
+    gameState.lobbyInterval = setInterval(pollLobby, CONFIG.LOBBY_POLL_INTERVAL);
+    connectRealtime();
+    cacheMapArea();
 }
 
-function updatePlayerMarker(lat, lon, accuracy) {
-    if (!gameState.map) return;
-    
-    const latlng = [lat, lon];
+async function pollLobby() {
+    if (isRealtime()) return;
     
-    // Update or create marker
-    if (gameState.playerMarker) {
-        gameState.playerMarker.setLatLng(latlng);
-    } else {
-        const icon = L.divIcon({
-            className: 'player-marker',
-            html: `<div class="player-marker self ${gameState.playerRole}" style="width: 20px; height: 20px;"></div>`,
-            iconSize: [20, 20],
-        });
+    try {
+        const data = await callBackend('/game');
+        renderLobby(data.game);
+    } catch (error) {
+        console.error('Error polling lobby:', error);
         
-        gameState.playerMarker = L.marker(latlng, { icon })
-            .addTo(gameState.map)
-            .bindPopup(`You (${gameState.playerRole})`);
+        if (isSessionError(error)) {
+            showToast(`You are no longer in this game: ${error.message}`, 'error');
+            leaveLobby();
+        }
     }
+}
+
+function renderLobby(game) {
+    // Ignore responses that arrive after we've left the lobby
+    if (!document.getElementById('lobbyScreen').classList.contains('active')) return;
     
-    // Update or create accuracy circle
-    if (gameState.accuracyCircle) {
-        gameState.accuracyCircle.setLatLng(latlng);
-        gameState.accuracyCircle.setRadius(accuracy);
-    } else {
-        gameState.accuracyCircle = L.circle(latlng, {
-            radius: accuracy,
-            color: gameState.playerRole === 'hunter' ? '#e63946' : '#2a9d8f',
-            fillColor: gameState.playerRole === 'hunter' ? '#e63946' : '#2a9d8f',
-            fillOpacity: 0.15,
-            weight: 2,
-        }).addTo(gameState.map);
-    }
+    gameState.isHost = game.hostId === gameState.playerId;
     
-    // Center map on first position
-    if (!gameState.startTime || Date.now() - gameState.startTime < 1000) {
-        gameState.map.setView(latlng, 16);
+    // Countdown has begun: everyone moves to the game screen together
+    if (game.status !== 'lobby') {
+        startGame(game);
+        return;
     }
-}
-
-function updateOtherPlayers(locations) {
-    if (!gameState.map || !locations) return;
     
-    const now = Date.now();
-    const currentPlayerIds = new Set();
+    const list = document.getElementById('lobbyPlayers');
+    list.innerHTML = '';
     
-    // Filter and display opponent positions (with 2-minute delay)
-    locations.forEach(player => {
-        // Skip self
-        if (player.playerId === gameState.playerId) return;
-        
-        // Skip same team (hunters only see hunted and vice versa)
-        const isOpponent = 
-            (gameState.playerRole === 'hunter' && player.role === 'hunted') ||
-            (gameState.playerRole === 'hunted' && player.role === 'hunter');
+    game.players.forEach(player => {
+        const item = document.createElement('li');
+        item.className = `lobby-player ${player.ready ? 'ready' : ''}`;
         
-        if (!isOpponent) return;
-        
-        currentPlayerIds.add(player.playerId);
-        
-        // Apply 2-minute delay
-        const age = now - player.timestamp;
-        if (age < CONFIG.POSITION_DELAY) {
-            // Position too recent, don't show yet
-            return;
-        }
+        const name = document.createElement('span');
+        name.textContent = player.playerName +
+            (player.playerId === game.hostId ? ' (host)' : '') +
+            (player.playerId === gameState.playerId ? ' (you)' : '');
         
-        const latlng = [player.lat, player.lon];
+        const role = document.createElement('span');
+        role.className = `role-badge ${player.role}`;
+        role.textContent = player.role;
         
-        if (gameState.otherMarkers[player.playerId]) {
-            // Update existing marker
-            gameState.otherMarkers[player.playerId].setLatLng(latlng);
-        } else {
-            // Create new marker
-            const icon = L.divIcon({
-                className: 'player-marker',
-                html: `<div class="player-marker ${player.role}" style="width: 16px; height: 16px;"></div>`,
-                iconSize: [16, 16],
-            });
-            
-            const marker = L.marker(latlng, { icon })
-                .addTo(gameState.map)
-                .bindPopup(`
-                    ${player.playerName} (${player.role})<br>
-                    <small>Position from ${Math.round(age / 1000)}s ago</small>
-                `);
-            
-            gameState.otherMarkers[player.playerId] = marker;
-        }
+        const ready = document.createElement('span');
+        ready.className = 'lobby-ready';
+        ready.textContent = player.role === 'referee' ? '🧑‍⚖️' : player.ready ? '✅' : '⏳';
         
-        // Check for capture (hunters only)
-        if (gameState.playerRole === 'hunter' && gameState.lastPosition) {
-            const distance = calculateDistance(
-                gameState.lastPosition.lat,
-                gameState.lastPosition.lon,
-                player.lat,
-                player.lon
-            );
-            
-            if (distance <= CONFIG.CAPTURE_DISTANCE) {
-                endGame('victory', `You captured ${player.playerName}!`);
-            }
-        }
+        item.append(name, role, ready);
+        list.appendChild(item);
     });
     
-    // Remove markers for players who left
-    Object.keys(gameState.otherMarkers).forEach(playerId => {
-        if (!currentPlayerIds.has(playerId)) {
-            gameState.map.removeLayer(gameState.otherMarkers[playerId]);
-            delete gameState.otherMarkers[playerId];
-        }
-    });
+    const me = game.players.find(player => player.playerId === gameState.playerId);
+    const allReady = game.players.every(player => player.ready || player.role === 'referee');
+    const hasBothSides = 
+        game.players.some(player => player.role === 'hunter') &&
+        game.players.some(player => player.role === 'hunted');
     
-    // Update player count
-    const totalPlayers = locations.filter(p => p.gameCode === gameState.gameCode).length;
-    document.getElementById('playerCount').textContent = `${totalPlayers}/4`;
+    const readyBtn = document.getElementById('readyBtn');
+    readyBtn.textContent = me && me.ready ? 'Not Ready' : 'Ready';
+    readyBtn.style.display = isReferee() ? 'none' : '';
+    
+    const startBtn = document.getElementById('startBtn');
+    startBtn.style.display = gameState.isHost ? '' : 'none';
+    startBtn.disabled = !(allReady && hasBothSides);
+    
+    document.getElementById('lobbyStatus').textContent = 
+        !hasBothSides ? 'Waiting for a hunter and a hunted player...' :
+        !allReady ? 'Waiting for everyone to be ready...' :
+        gameState.isHost ? 'Everyone is ready!' :
+        'Waiting for the host to start...';
 }
 
-// Game Loop
-async function gameLoop() {
-    // Send current position if available
-    if (gameState.lastPosition) {
-        await updateLocation(
-            gameState.lastPosition.lat,
-            gameState.lastPosition.lon,
-            gameState.lastPosition.accuracy
-        );
-    }
-    
-    // Fetch all locations
-    const data = await getLocations();
+async function toggleReady() {
+    unlockAudio();
+    const ready = document.getElementById('readyBtn').textContent === 'Ready';
     
-    if (data && data.locations) {
-        updateOtherPlayers(data.locations);
+    try {
+        const data = await callBackend('/ready', { ready });
+        renderLobby(data.game);
+    } catch (error) {
+        console.error('Error updating ready state:', error);
+        showToast(error.message, 'error');
     }
-    
-    // Update last update timestamp
-    const now = new Date();
-    document.getElementById('lastUpdate').textContent = 
-        now.getHours().toString().padStart(2, '0') + ':' + 
-        now.getMinutes().toString().padStart(2, '0') + ':' + 
-        now.getSeconds().toString().padStart(2, '0');
 }
 
-function updateTimer() {
-    const elapsed = Date.now() - gameState.startTime;
-    const remaining = CONFIG.GAME_DURATION - elapsed;
-    
-    if (remaining <= 0) {
-        endGame('timeout', 'Time\'s up! Hunted players survived.');
-        return;
+async function requestStart() {
+    try {
+        const data = await callBackend('/startGame', {});
+        renderLobby(data.game);
+    } catch (error) {
+        console.error('Error starting game:', error);
+        showToast(error.message, 'error');
     }
-    
-    const timerEl = document.getElementById('timer');
-    timerEl.textContent = formatTime(remaining);
-    
-    // Change color based on time remaining
-    if (remaining < 60000) { // Last minute
-        timerEl.className = 'timer danger';
-    } else if (remaining < 180000) { // Last 3 minutes
-        timerEl.className = 'timer warning';
-    } else {
-        timerEl.className = 'timer';
+}
+
+function stopLobbyPolling() {
+    if (gameState.lobbyInterval) {
+        clearInterval(gameState.lobbyInterval);
+        gameState.lobbyInterval = null;
     }
 }
 
-// Game Flow
-function startGame() {
-    const name = document.getElementById('playerName').value.trim();
-    const code = document.getElementById('gameCode').value.trim().toUpperCase();
-    const selectedRole = document.querySelector('.role-btn.selected');
+function notifyLeave() {
+    // Best effort: the backend also drops players who go quiet
+    callBackend('/leaveGame', {}).catch(error => console.error('Error leaving game:', error));
+}
+
+function leaveLobby() {
+    stopLobbyPolling();
+    notifyLeave();
+    disconnectRealtime();
+    gameState.token = null;
+    gameState.tileCache = null;
+    renderTileStatus();
     
-    if (!name || !code || !selectedRole) {
-        showToast('Please fill all fields', 'warning');
-        return;
-    }
+    document.getElementById('lobbyScreen').classList.remove('active');
+    document.getElementById('startScreen').classList.add('active');
+}
+
+// Game Flow
+function startGame(game) {
+    stopLobbyPolling();
     
-    gameState.playerId = generateId();
-    gameState.playerName = name;
-    gameState.playerRole = selectedRole.dataset.role;
-    gameState.gameCode = code;
     gameState.isActive = true;
-    gameState.startTime = Date.now();
+    gameState.hasStarted = false;
+    gameState.outOfBounds = false;
+    gameState.penalty = null;
+    gameState.zone = null;
+    gameState.abilities = {};
+    renderAbilities();
+    gameState.danger = null;
+    renderDanger();
+    gameState.pendingCaptures = [];
+    renderPendingCaptures(Date.now());
+    resetTeamFeed();
+    resetRefereePanel();
+    clearLocationQueue();
+    gameState.startTime = game.startTime;
+    gameState.endTime = game.endTime;
+    gameState.serverOffset = game.serverTime - Date.now();
+    gameState.speed = null;
+    gameState.nearestOpponent = null;
+    gameState.lowBatteryWarned = false;
+    gameState.updateRate = chooseUpdateRate();
     
     // Update UI
-    document.getElementById('playerNameDisplay').textContent = name;
-    const roleBadge = document.getElementById('playerRole');
-    roleBadge.textContent = gameState.playerRole;
-    roleBadge.className = `role-badge ${gameState.playerRole}`;
+    document.getElementById('playerNameDisplay').textContent = gameState.playerName;
+    document.getElementById('delayDisplay').textContent = formatTime(gameState.rules.positionDelay);
+    document.getElementById('playerCount').textContent = `${game.players.length}/${gameState.rules.maxPlayers}`;
+    renderRoleBadge();
     
     // Switch screens
-    document.getElementById('startScreen').classList.remove('active');
+    document.getElementById('lobbyScreen').classList.remove('active');
     document.getElementById('gameScreen').classList.add('active');
     
     // Initialize map
     initMap();
     
-    // Start GPS tracking
-    startGPSTracking();
+    // Start GPS tracking; referees only watch
+    if (!isReferee()) {
+        startGPSTracking();
+    }
+    requestWakeLock();
     
     // Start game loop
     gameLoop(); // Initial call
-    gameState.updateInterval = setInterval(gameLoop, CONFIG.UPDATE_INTERVAL);
+    gameState.updateInterval = setInterval(gameLoop, getUpdateInterval(gameState.updateRate));
     
     // Start timer
     updateTimer(); // Initial call
     gameState.timerInterval = setInterval(updateTimer, 1000);
-    
-    showToast(`Game started as ${gameState.playerRole}!`, 'success');
 }
 
 function endGame(reason, message) {
@@ -433,11 +2660,17 @@ function endGame(reason, message) {
     
     // Stop GPS
     stopGPSTracking();
+    disconnectRealtime();
+    releaseWakeLock();
     
     // Show end screen
     document.getElementById('endTitle').textContent = 
         reason === 'victory' ? '🎉 Victory!' : 
+        reason === 'caught' ? '🪤 Caught!' :
+        reason === 'disqualified' ? '🚫 Disqualified' :
+        reason === 'defeat' ? '💀 Defeat' :
         reason === 'timeout' ? '⏰ Time\'s Up!' : 
+        reason === 'ended' ? '🏁 Game Over' :
         '👋 Game Over';
     
     document.getElementById('endMessage').textContent = message;
@@ -448,6 +2681,7 @@ function endGame(reason, message) {
 
 function leaveGame() {
     if (confirm('Are you sure you want to leave the game?')) {
+        notifyLeave();
         endGame('left', 'You left the game.');
     }
 }
@@ -459,11 +2693,20 @@ function centerMap() {
             gameState.lastPosition.lon
         ], 16);
         showToast('Map centered', 'success');
+    } else if (gameState.map && isReferee()) {
+        // Referees centre on everyone instead
+        const markers = Object.values(gameState.otherMarkers);
+        if (markers.length > 0) {
+            gameState.map.fitBounds(markers.map(marker => marker.getLatLng()), { maxZoom: 16 });
+            showToast('Map centered', 'success');
+        }
     }
 }
 
 function newGame() {
     // Clean up
+    closeReplay();
+    
     if (gameState.map) {
         gameState.map.remove();
         gameState.map = null;
@@ -471,13 +2714,25 @@ function newGame() {
     
     gameState.playerMarker = null;
     gameState.accuracyCircle = null;
+    gameState.playAreaLayer = null;
+    gameState.nextZoneLayer = null;
     gameState.otherMarkers = {};
+    gameState.trailLayers = {};
+    gameState.sightings = {};
+    gameState.teamMarkers = {};
     gameState.lastPosition = null;
+    gameState.positionFilter = null;
+    gameState.rawFix = null;
+    gameState.token = null;
     
     // Reset UI
+    renderMatchStats(null);
     document.getElementById('endScreen').classList.remove('active');
     document.getElementById('startScreen').classList.add('active');
     
+    // Pick up the game we just played
+    loadProfile().then(loadLeaderboard);
+    
     // Keep player info for convenience
     // document.getElementById('playerName').value = '';
     // document.getElementById('gameCode').value = '';
@@ -485,6 +2740,14 @@ function newGame() {
 
 // Event Listeners
 document.addEventListener('DOMContentLoaded', () => {
+    installSimulatedGps();
+    
+    // App shell and map tiles for offline play (HTTPS or localhost only)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.error('Error registering service worker:', error));
+    }
+    
     // Role selection
     document.querySelectorAll('.role-btn').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -498,13 +2761,69 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('playerName').addEventListener('input', validateStartButton);
     document.getElementById('gameCode').addEventListener('input', validateStartButton);
     
-    // Start button
-    document.getElementById('startBtn').addEventListener('click', startGame);
+    // Rules preview follows the rule inputs
+    document.querySelectorAll('.rules-grid input, .rules-grid select, .rules-grid textarea').forEach(input => {
+        input.addEventListener('input', () => renderRules('rulesList', readRulesForm()));
+    });
+    renderRules('rulesList', readRulesForm());
+    
+    document.getElementById('ruleAreaShape').addEventListener('change', renderAreaShape);
+    document.getElementById('addCornerBtn').addEventListener('click', addCornerHere);
+    
+    // GPS and battery preference
+    loadGpsMode();
+    document.getElementById('gpsMode').addEventListener('change', saveGpsMode);
+    watchBattery();
+    
+    // Stats and leaderboard
+    loadProfileToken();
+    loadProfile().then(loadLeaderboard);
+    document.getElementById('leaderboardSort').addEventListener('change', loadLeaderboard);
+    
+    // Create / join buttons
+    document.getElementById('createBtn').addEventListener('click', createGame);
+    document.getElementById('joinBtn').addEventListener('click', joinGame);
+    
+    // Lobby controls
+    document.getElementById('readyBtn').addEventListener('click', toggleReady);
+    document.getElementById('startBtn').addEventListener('click', requestStart);
+    document.getElementById('lobbyLeaveBtn').addEventListener('click', leaveLobby);
     
     // Game controls
     document.getElementById('centerBtn').addEventListener('click', centerMap);
     document.getElementById('leaveBtn').addEventListener('click', leaveGame);
     
+    // Team feed
+    const presets = document.getElementById('teamPresets');
+    CONFIG.TEAM_PRESETS.forEach(text => {
+        const button = document.createElement('button');
+        button.className = 'team-preset';
+        button.textContent = text;
+        button.addEventListener('click', () => sendTeamMessage(text));
+        presets.appendChild(button);
+    });
+    document.getElementById('teamBtn').addEventListener('click', toggleTeamPanel);
+    
+    // Referee controls
+    document.getElementById('refereeBtn').addEventListener('click', toggleRefereePanel);
+    document.getElementById('refereePauseBtn').addEventListener('click', togglePause);
+    document.getElementById('refereeEndBtn').addEventListener('click', refereeEndGame);
+    
+    // Abilities
+    document.querySelectorAll('.ability-btn').forEach(button => {
+        button.addEventListener('click', () => activateAbility(button.dataset.ability));
+    });
+    document.getElementById('teamForm').addEventListener('submit', event => {
+        event.preventDefault();
+        sendTeamMessage(document.getElementById('teamInput').value);
+    });
+    
+    // Replay controls
+    document.getElementById('replayPlayBtn').addEventListener('click', toggleReplay);
+    document.getElementById('replayScrubber').addEventListener('input', scrubReplay);
+    document.getElementById('gpxBtn').addEventListener('click', () => downloadTrack('gpx'));
+    document.getElementById('geojsonBtn').addEventListener('click', () => downloadTrack('geojson'));
+    
     // New game button
     document.getElementById('newGameBtn').addEventListener('click', newGame);
 });
@@ -514,8 +2833,8 @@ function validateStartButton() {
     const code = document.getElementById('gameCode').value.trim();
     const role = document.querySelector('.role-btn.selected');
     
-    const btn = document.getElementById('startBtn');
-    btn.disabled = !(name && code && role);
+    document.getElementById('createBtn').disabled = !(name && code && role);
+    document.getElementById('joinBtn').disabled = !(name && code && role);
 }
 
 // Handle page visibility to pause/resume when app goes to background
@@ -524,10 +2843,19 @@ document.addEventListener('visibilitychange', () => {
         console.log('App hidden - GPS continues in background');
     } else if (!document.hidden && gameState.isActive) {
         console.log('App visible - resuming');
+        requestWakeLock(); // Browsers drop the lock while hidden
         gameLoop(); // Immediate update on resume
     }
 });
 
+// Don't wait out the backoff once the browser says we're back
+window.addEventListener('online', () => {
+    if (gameState.isActive && gameState.locationQueue.length > 0) {
+        gameState.uploadRetryAt = 0;
+        gameLoop();
+    }
+});
+
 // Warn user before leaving
 window.addEventListener('beforeunload', (e) => {
     if (gameState.isActive) {
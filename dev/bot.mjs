@@ -0,0 +1,301 @@
+// Hunter vs Hunted - Bot Player
+//
+// Plays through the real API like a phone would: joins (or creates) a game,
+// readies up, then sends a position to /updateLocation and fetches
+// /locations every update interval until the game has a result.
+//
+//   node dev/bot.mjs --game ALPHA --role hunted [--name Deer] [--path walk]
+//
+// Options:
+//   --server URL     Backend (default http://localhost:8787, see dev/server.mjs)
+//   --game CODE      Game code to join, or to create with --create
+//   --role ROLE      hunter or hunted
+//   --name NAME      Player name (default Bot-<random>)
+//   --create         Create the game and host it: start once --players are ready
+//   --players N      Players (bots and people) to wait for before starting (default 2)
+//   --rules JSON     Rules for a created game, e.g. '{"gameDuration":120000}'
+//   --path PATH      walk: wander at --speed; chase: head for the nearest
+//                    opponent we can see (their delayed position, as a real
+//                    hunter would), wandering until there is one; or a GPX or
+//                    GeoJSON file to replay in real time (default walk)
+//   --start LAT,LON  Where to start (default a random spot within 300m of
+//                    central London, the client's simulated GPS default)
+//   --speed M/S      Walking or chasing speed (default 1.4)
+//   --player NAME    Which player's track to replay from a game's export
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { calculateDistance, getBearing, offsetPosition } from '../game-logic.js';
+
+const START = { lat: 51.5074, lon: -0.1278 };
+const START_SPREAD = 300; // metres
+const LOBBY_POLL_INTERVAL = 2000;
+const ACCURACY = 5;
+
+const { values: options } = parseArgs({
+  options: {
+    server: { type: 'string', default: 'http://localhost:8787' },
+    game: { type: 'string' },
+    role: { type: 'string' },
+    name: { type: 'string', default: `Bot-${Math.random().toString(36).slice(2, 6)}` },
+    create: { type: 'boolean', default: false },
+    players: { type: 'string', default: '2' },
+    rules: { type: 'string' },
+    path: { type: 'string', default: 'walk' },
+    start: { type: 'string' },
+    speed: { type: 'string', default: '1.4' },
+    player: { type: 'string' },
+  },
+});
+
+if (!options.game || !['hunter', 'hunted'].includes(options.role)) {
+  console.error('Usage: node dev/bot.mjs --game CODE --role hunter|hunted [options] (see the top of this file)');
+  process.exit(1);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function log(message) {
+  console.log(`[${new Date().toLocaleTimeString()}] ${options.name}: ${message}`);
+}
+
+// Same shape as the client's callBackend; each bot gets its own rate limit
+async function callBackend(path, body = null, token = null) {
+  const headers = { 'CF-Connecting-IP': `bot-${options.name}` };
+  
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  
+  const init = { headers };
+  
+  if (body) {
+    init.method = 'POST';
+    headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  
+  const response = await fetch(`${options.server}${path}`, init);
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  return data;
+}
+
+// Movement
+
+function getStart() {
+  if (options.start) {
+    const [lat, lon] = options.start.split(',').map(Number);
+    return { lat, lon };
+  }
+  
+  return offsetPosition(START, Math.random() * 360, Math.random() * START_SPREAD);
+}
+
+// Each path is a function (elapsed ms, opponents) -> position
+function createWalk(chase) {
+  const speed = Number(options.speed);
+  let position = getStart();
+  let heading = Math.random() * 360;
+  let movedAt = 0;
+  
+  return (elapsed, opponents) => {
+    const nearest = opponents
+      .map(opponent => ({ opponent, distance: calculateDistance(position.lat, position.lon, opponent.lat, opponent.lon) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    const step = speed * (elapsed - movedAt) / 1000;
+    movedAt = elapsed;
+    
+    if (chase && nearest) {
+      heading = getBearing(position, nearest.opponent);
+      position = offsetPosition(position, heading, Math.min(step, nearest.distance));
+    } else {
+      heading += (Math.random() - 0.5) * 60;
+      position = offsetPosition(position, heading, step);
+    }
+    
+    return position;
+  };
+}
+
+// Track points as { lat, lon, time } with time in ms from the first
+async function loadTrack(file) {
+  const text = await readFile(file, 'utf8');
+  let points;
+  
+  if (text.trim().startsWith('<')) {
+    // Our GPX exports name each track "Name (role)"
+    const tracks = text.split('<trk>').slice(1);
+    const track = tracks.find(trk => !options.player || trk.includes(`<name>${options.player} (`));
+    
+    points = [...(track || '').matchAll(/<trkpt([^>]*)>([\s\S]*?)<\/trkpt>/g)].map(([, attributes, inner]) => {
+      const time = inner.match(/<time>([^<]+)<\/time>/);
+      
+      return {
+        lat: Number(attributes.match(/lat="([^"]+)"/)[1]),
+        lon: Number(attributes.match(/lon="([^"]+)"/)[1]),
+        time: time ? Date.parse(time[1]) : null,
+      };
+    });
+  } else {
+    const geojson = JSON.parse(text);
+    const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+    const feature = features.find(item => item.geometry && item.geometry.type === 'LineString' &&
+      (!options.player || (item.properties || {}).playerName === options.player));
+    const times = (feature && feature.properties && feature.properties.coordTimes) || [];
+    
+    points = (feature ? feature.geometry.coordinates : []).map(([lon, lat], i) => ({
+      lat,
+      lon,
+      time: times[i] !== undefined ? new Date(times[i]).getTime() : null,
+    }));
+  }
+  
+  if (points.length === 0) {
+    throw new Error(`No track points in ${file}`);
+  }
+  
+  const first = points[0].time;
+  
+  return points.map((point, i) => ({
+    lat: point.lat,
+    lon: point.lon,
+    time: Number.isFinite(first) && Number.isFinite(point.time) ? point.time - first : i * 1000,
+  }));
+}
+
+// Replays from the start of the game, then stays at the last point
+function createReplay(points) {
+  return elapsed => {
+    let index = 0;
+    
+    while (index + 1 < points.length && points[index + 1].time <= elapsed) {
+      index++;
+    }
+    
+    return { lat: points[index].lat, lon: points[index].lon };
+  };
+}
+
+async function createPath() {
+  if (options.path === 'walk' || options.path === 'chase') {
+    return createWalk(options.path === 'chase');
+  }
+  
+  return createReplay(await loadTrack(options.path));
+}
+
+// Game
+
+async function enterLobby() {
+  const body = { gameCode: options.game, playerName: options.name, role: options.role };
+  
+  if (options.create && options.rules) {
+    body.rules = JSON.parse(options.rules);
+  }
+  
+  const data = await callBackend(options.create ? '/createGame' : '/joinGame', body);
+  log(`${options.create ? 'created' : 'joined'} ${data.game.gameCode} as ${options.role}`);
+  
+  await callBackend('/ready', { ready: true }, data.token);
+  return data.token;
+}
+
+// Hosts start the game once enough players are ready; everyone waits for it
+async function waitForStart(token) {
+  const wanted = Number(options.players);
+  
+  for (;;) {
+    const { game } = await callBackend('/game', null, token);
+    if (game.status !== 'lobby') return game;
+    
+    const players = game.players.filter(player => player.role !== 'referee');
+    
+    if (options.create && players.length >= wanted && game.players.every(player => player.ready || player.role === 'referee')) {
+      try {
+        await callBackend('/startGame', {}, token);
+        log(`starting with ${players.length} players`);
+      } catch (error) {
+        log(`can't start yet: ${error.message}`);
+      }
+    }
+    
+    await sleep(LOBBY_POLL_INTERVAL);
+  }
+}
+
+function describeResult(result, role) {
+  const outcome = result.winner === null ? 'no winner'
+    : result.winner === role ? 'we won' : 'we lost';
+  const captures = result.captures.map(capture => `${capture.hunterName} caught ${capture.huntedName}`);
+  
+  return `game over (${result.reason}): ${outcome}${captures.length > 0 ? `; ${captures.join(', ')}` : ''}`;
+}
+
+async function play(token, game) {
+  const move = await createPath();
+  const interval = game.rules.updateInterval;
+  let role = options.role;
+  let opponents = [];
+  let danger = null;
+  let pending = '';
+  let startedAt = null;
+  
+  log(`game ${game.status}, updating every ${interval / 1000}s`);
+  
+  for (;;) {
+    // Stand still through the countdown
+    startedAt = startedAt === null && Date.now() >= game.startTime ? Date.now() : startedAt;
+    const position = move(startedAt === null ? 0 : Date.now() - startedAt, opponents);
+    
+    try {
+      await callBackend('/updateLocation', { ...position, accuracy: ACCURACY, timestamp: Date.now() }, token);
+      const data = await callBackend('/locations', null, token);
+      
+      if (data.role && data.role !== role) {
+        log(`now a ${data.role}`);
+        role = data.role;
+      }
+      
+      if (data.result) {
+        log(describeResult(data.result, role));
+        return;
+      }
+      
+      opponents = data.locations.filter(player => player.role !== role);
+      
+      if (data.danger && data.danger !== danger) {
+        log(`nearest hunter: ${data.danger}`);
+      }
+      danger = data.danger;
+      
+      const captures = data.pendingCaptures
+        .map(capture => `${capture.hunterName} catching ${capture.huntedName}, ${
+          Math.ceil((capture.confirmAt - data.serverTime) / 1000)
+        }s to go`);
+      const key = data.pendingCaptures.map(capture => `${capture.hunterId}:${capture.huntedId}`).join();
+      
+      if (key !== pending) {
+        log(captures.length > 0 ? `capture in progress: ${captures.join('; ')}` : 'capture called off');
+      }
+      pending = key;
+    } catch (error) {
+      log(`error: ${error.message}`);
+      
+      // Removed, or the game is gone
+      if ([401, 403, 404].includes(error.status)) return;
+    }
+    
+    await sleep(interval);
+  }
+}
+
+const token = await enterLobby();
+const game = await waitForStart(token);
+await play(token, game);
@@ -0,0 +1,158 @@
+// Hunter vs Hunted - Local Development Server
+//
+// Serves the client and the worker's API from one origin, so a whole game
+// can be played on one machine without deploying anything:
+//
+//   node dev/server.mjs [--port 8787]
+//
+// Then open http://localhost:8787/?backend=http://localhost:8787&gps=walk in
+// a tab per player (the client ignores those parameters anywhere but
+// localhost), and/or add bots with dev/bot.mjs. As with a worker
+// deployed without Durable Objects, games and profiles live in memory and
+// are gone when the server stops. Node has no WebSocketPair, so there's no
+// real-time channel: clients poll, as they do whenever the socket is down.
+//
+// Needs Node 20.19+ or 22.12+ (to load worker.js, an ES module, as-is).
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+  },
+});
+
+const port = Number(options.port);
+
+// The client files; anything under dev/tracks/ is served too, for ?gps=
+const STATIC_FILES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/game-logic.js': 'game-logic.js',
+  '/app.js': 'app.js',
+  '/styles.css': 'styles.css',
+  '/sw.js': 'sw.js',
+  '/manifest.json': 'manifest.json',
+  '/icon.svg': 'icon.svg',
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.geojson': 'application/geo+json',
+  '.gpx': 'application/gpx+xml',
+};
+
+// worker.js registers a service worker style fetch listener as it loads
+globalThis.addEventListener ??= () => {};
+const worker = (await import('../worker.js')).default;
+
+const env = {
+  TOKEN_SECRET: process.env.TOKEN_SECRET, // Optional; the worker makes one up without it
+};
+
+function getStaticFile(urlPath) {
+  if (STATIC_FILES[urlPath]) {
+    return path.join(ROOT, STATIC_FILES[urlPath]);
+  }
+  
+  if (urlPath.startsWith('/dev/tracks/')) {
+    const file = path.join(ROOT, decodeURIComponent(urlPath));
+    
+    // No climbing out of dev/tracks
+    if (file.startsWith(path.join(ROOT, 'dev', 'tracks') + path.sep)) {
+      return file;
+    }
+  }
+  
+  return null;
+}
+
+async function serveStatic(file, res) {
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }
+}
+
+// Node request -> Fetch API Request for the worker
+async function toRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  }
+  
+  // Every tab comes from localhost. Giving each connection its own address
+  // spreads them over the rate limit like separate phones; bots send their own.
+  if (!headers.has('CF-Connecting-IP')) {
+    headers.set('CF-Connecting-IP', `${req.socket.remoteAddress}:${req.socket.remotePort}`);
+  }
+  
+  return new Request(`http://localhost:${port}${req.url}`, {
+    method: req.method,
+    headers,
+    body: req.method === 'GET' || req.method === 'HEAD' ? undefined : Buffer.concat(chunks),
+  });
+}
+
+async function serveApi(req, res) {
+  let response;
+  
+  try {
+    response = await worker.fetch(await toRequest(req), env);
+  } catch (error) {
+    console.error(`${req.method} ${req.url}:`, error);
+    response = new Response(JSON.stringify({ error: 'Internal error' }), { status: 500 });
+  }
+  
+  if (response.status >= 400) {
+    console.log(`${req.method} ${req.url} -> ${response.status}`);
+  }
+  
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+const server = http.createServer((req, res) => {
+  const urlPath = new URL(req.url, `http://localhost:${port}`).pathname;
+  const file = req.method === 'GET' ? getStaticFile(urlPath) : null;
+  
+  if (file) {
+    serveStatic(file, res);
+  } else {
+    serveApi(req, res);
+  }
+});
+
+// WebSocket upgrades (/connect) aren't supported; refuse them so clients
+// fall back to polling straight away
+server.on('upgrade', (req, socket) => {
+  socket.end('HTTP/1.1 501 Not Implemented\r\nConnection: close\r\n\r\n');
+});
+
+server.listen(port, () => {
+  console.log(`Hunter vs Hunted dev server on http://localhost:${port}`);
+  console.log(`Play:  http://localhost:${port}/?backend=http://localhost:${port}&gps=walk`);
+  console.log(`Bots:  node dev/bot.mjs --server http://localhost:${port} --game CODE --role hunted`);
+});
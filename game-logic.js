@@ -0,0 +1,408 @@
+// Game Logic
+// The rules and formatting app.js builds on, kept free of the DOM and Leaflet
+// so they can be tested under Node (see "Running the Tests" in the README).
+// The page loads this as a plain script before app.js.
+
+// Geometry
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371e3; // Earth's radius in meters
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+              Math.cos(φ1) * Math.cos(φ2) *
+              Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c;
+}
+
+// Whether a point lies inside the play area (everywhere is, without one).
+// Mirrors the backend's check so warnings match its penalties.
+function isInPlayArea(playArea, lat, lon) {
+    if (!playArea) return true;
+    
+    if (playArea.type === 'circle') {
+        return calculateDistance(playArea.center.lat, playArea.center.lon, lat, lon) <= playArea.radius;
+    }
+    
+    const points = playArea.points;
+    let inside = false;
+    
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        
+        if ((a.lat > lat) !== (b.lat > lat) &&
+            lon < (b.lon - a.lon) * (lat - a.lat) / (b.lat - a.lat) + a.lon) {
+            inside = !inside;
+        }
+    }
+    
+    return inside;
+}
+
+// The point `distance` metres from `from` along `bearing` (degrees from north)
+function offsetPosition(from, bearing, distance) {
+    const θ = bearing * Math.PI / 180;
+    
+    return {
+        lat: from.lat + distance * Math.cos(θ) / 111320,
+        lon: from.lon + distance * Math.sin(θ) / (111320 * Math.cos(from.lat * Math.PI / 180)),
+    };
+}
+
+// Initial bearing from one point to another, in degrees from north
+function getBearing(from, to) {
+    const φ1 = from.lat * Math.PI / 180;
+    const φ2 = to.lat * Math.PI / 180;
+    const Δλ = (to.lon - from.lon) * Math.PI / 180;
+    
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Play area corners typed one per line as "lat, lon", the way most map apps
+// copy a point. Blank lines are skipped; null if any other line isn't a
+// valid pair of coordinates.
+function parseCorners(text) {
+    const points = [];
+    
+    for (const line of text.split('\n')) {
+        if (line.trim() === '') continue;
+        
+        const match = line.match(/^\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (!match) return null;
+        
+        const lat = Number(match[1]);
+        const lon = Number(match[2]);
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+        
+        points.push({ lat, lon });
+    }
+    
+    return points;
+}
+
+// Slippy map tile coordinates (fractional) of a point at `zoom`
+function lonToTileX(lon, zoom) {
+    return (lon + 180) / 360 * 2 ** zoom;
+}
+
+function latToTileY(lat, zoom) {
+    const φ = lat * Math.PI / 180;
+    return (1 - Math.log(Math.tan(φ) + 1 / Math.cos(φ)) / Math.PI) / 2 * 2 ** zoom;
+}
+
+function getAreaBounds(area) {
+    if (area.type === 'circle') {
+        const dLat = area.radius / 111320;
+        const dLon = dLat / Math.cos(area.center.lat * Math.PI / 180);
+        
+        return {
+            south: area.center.lat - dLat,
+            north: area.center.lat + dLat,
+            west: area.center.lon - dLon,
+            east: area.center.lon + dLon,
+        };
+    }
+    
+    const lats = area.points.map(point => point.lat);
+    const lons = area.points.map(point => point.lon);
+    
+    return {
+        south: Math.min(...lats),
+        north: Math.max(...lats),
+        west: Math.min(...lons),
+        east: Math.max(...lons),
+    };
+}
+
+// Rules
+// Opponents' positions from a locations response. The backend only returns
+// opponents' delayed positions, but a response from before we switched sides
+// may still list our new teammates.
+function getOpponents(locations, role) {
+    return locations.filter(player => player.role !== role);
+}
+
+// How fresh an opponent's position is, for their marker's popup
+function describeSighting(player, now) {
+    if (player.disqualified) return 'Disqualified';
+    if (player.revealed) return 'Live position: out of bounds!';
+    if (player.radar) return 'Live position: radar';
+    if (player.live) return `Live position${player.outOfBounds ? ': out of bounds' : ''}`;
+    return `Position from ${Math.round((now - player.timestamp) / 1000)}s ago`;
+}
+
+// Short age for the label under an opponent's marker
+function describeAge(player, now) {
+    if (player.live || player.radar || player.revealed) return 'Live';
+    return `${formatAge(now - player.timestamp)} ago`;
+}
+
+// Which way an opponent was heading, in degrees from north: from the newest
+// trail point far enough behind them that GPS jitter can't point the arrow
+// the wrong way. Null without a trail, or if they've hardly moved.
+function inferHeading(player, minDistance = 10) {
+    const trail = player.trail || [];
+    const threshold = Math.max(minDistance, player.accuracy || 0);
+    
+    for (let i = trail.length - 1; i >= 0; i--) {
+        if (calculateDistance(trail[i].lat, trail[i].lon, player.lat, player.lon) >= threshold) {
+            return getBearing(trail[i], player);
+        }
+    }
+    
+    return null;
+}
+
+// Distance to the closest of `players`, or null without a position or players
+function getNearestDistance(position, players) {
+    if (!position || players.length === 0) return null;
+    
+    return Math.min(...players.map(player => calculateDistance(position.lat, position.lon, player.lat, player.lon)));
+}
+
+// How a finished game went for one player: 'ended' for referees and games
+// with no winner, otherwise 'disqualified', 'victory', 'caught' or 'defeat'
+function getOutcome(result, playerId, role) {
+    if (role === 'referee' || !result.winner) return 'ended';
+    if (result.disqualified.some(player => player.playerId === playerId)) return 'disqualified';
+    if (role === result.winner) return 'victory';
+    if (result.captures.some(capture => capture.huntedId === playerId)) return 'caught';
+    return 'defeat';
+}
+
+// A capture waiting to be confirmed, as `playerId` sees it: as the hunter,
+// the hunted player or a referee watching
+function describePendingCapture(pending, playerId, now) {
+    const seconds = Math.max(0, Math.ceil((pending.confirmAt - now) / 1000));
+    
+    if (pending.huntedId === playerId) {
+        return `⚠️ ${pending.hunterName} is catching you! Get away within ${seconds}s`;
+    }
+    if (pending.hunterId === playerId) {
+        return `🎯 Catching ${pending.huntedName}: stay close for ${seconds}s`;
+    }
+    return `🎯 ${pending.hunterName} is catching ${pending.huntedName}: ${seconds}s`;
+}
+
+// Position Filter
+// Raw GPS jitters by its accuracy, jumps in urban canyons and sometimes goes
+// quiet. A Kalman filter tracks position and velocity in metres east and
+// north of the first fix, assuming players keep their pace and direction
+// except for what ACCELERATION_NOISE allows. Each fix is weighed by its
+// accuracy, reported speed and heading refine the velocity, and fixes too far
+// from where the filter expected us are dropped as outliers.
+const POSITION_FILTER = {
+    ACCELERATION_NOISE: 0.5, // m/s²: how sharply players change pace or direction
+    SPEED_NOISE: 1, // m/s: error in the speed and heading phones report
+    START_SPEED_NOISE: 5, // m/s: how fast we might be going before the second fix
+    OUTLIER_GATE: 13.8, // Furthest a fix may be from the prediction, in squared standard deviations (99.9% of genuine fixes)
+    MAX_OUTLIERS: 2, // Fixes dropped in a row before starting over from the next one
+};
+
+// One axis: position p (m), velocity v (m/s) and their covariance [[a, b], [b, d]]
+function predictAxis(axis, seconds) {
+    const q = POSITION_FILTER.ACCELERATION_NOISE ** 2;
+    const [a, b, d] = axis.covariance;
+    
+    return {
+        p: axis.p + axis.v * seconds,
+        v: axis.v,
+        covariance: [
+            a + 2 * seconds * b + seconds ** 2 * d + q * seconds ** 4 / 4,
+            b + seconds * d + q * seconds ** 3 / 2,
+            d + q * seconds ** 2,
+        ],
+    };
+}
+
+function measureAxisPosition(axis, position, variance) {
+    const [a, b, d] = axis.covariance;
+    const gainP = a / (a + variance);
+    const gainV = b / (a + variance);
+    const error = position - axis.p;
+    
+    return {
+        p: axis.p + gainP * error,
+        v: axis.v + gainV * error,
+        covariance: [a * (1 - gainP), b * (1 - gainP), d - gainV * b],
+    };
+}
+
+function measureAxisVelocity(axis, velocity, variance) {
+    const [a, b, d] = axis.covariance;
+    const gainP = b / (d + variance);
+    const gainV = d / (d + variance);
+    const error = velocity - axis.v;
+    
+    return {
+        p: axis.p + gainP * error,
+        v: axis.v + gainV * error,
+        covariance: [a - gainP * b, b * (1 - gainV), d * (1 - gainV)],
+    };
+}
+
+// Velocity east and north from a fix's speed and heading, or null without
+// them. Phones report no heading while standing still.
+function getReportedVelocity(fix) {
+    if (!Number.isFinite(fix.speed)) return null;
+    if (fix.speed === 0) return { east: 0, north: 0 };
+    if (!Number.isFinite(fix.heading)) return null;
+    
+    const θ = fix.heading * Math.PI / 180;
+    return { east: fix.speed * Math.sin(θ), north: fix.speed * Math.cos(θ) };
+}
+
+// Fold a fix ({ lat, lon, accuracy, timestamp, speed?, heading? }) into the
+// filter, starting one if there's none. Returns { filter, outlier }; an
+// outlier leaves the filter as it was.
+function updatePositionFilter(filter, fix) {
+    const variance = fix.accuracy ** 2;
+    const velocity = getReportedVelocity(fix);
+    
+    if (!filter || filter.outliers >= POSITION_FILTER.MAX_OUTLIERS) {
+        const start = { p: 0, v: 0, covariance: [variance, 0, POSITION_FILTER.START_SPEED_NOISE ** 2] };
+        filter = {
+            origin: { lat: fix.lat, lon: fix.lon },
+            east: start,
+            north: start,
+            timestamp: fix.timestamp,
+            outliers: 0,
+        };
+    }
+    
+    const seconds = Math.max(0, fix.timestamp - filter.timestamp) / 1000;
+    let east = predictAxis(filter.east, seconds);
+    let north = predictAxis(filter.north, seconds);
+    
+    const x = (fix.lon - filter.origin.lon) * 111320 * Math.cos(filter.origin.lat * Math.PI / 180);
+    const y = (fix.lat - filter.origin.lat) * 111320;
+    const surprise = (x - east.p) ** 2 / (east.covariance[0] + variance) +
+        (y - north.p) ** 2 / (north.covariance[0] + variance);
+    
+    if (surprise > POSITION_FILTER.OUTLIER_GATE) {
+        return { filter: { ...filter, outliers: filter.outliers + 1 }, outlier: true };
+    }
+    
+    east = measureAxisPosition(east, x, variance);
+    north = measureAxisPosition(north, y, variance);
+    
+    if (velocity) {
+        east = measureAxisVelocity(east, velocity.east, POSITION_FILTER.SPEED_NOISE ** 2);
+        north = measureAxisVelocity(north, velocity.north, POSITION_FILTER.SPEED_NOISE ** 2);
+    }
+    
+    return {
+        filter: { origin: filter.origin, east, north, timestamp: fix.timestamp, outliers: 0 },
+        outlier: false,
+    };
+}
+
+// The filtered position at the last fix, or carried forward along our track
+// to a later `timestamp`. Accuracy is the larger axis' standard deviation.
+function getFilteredPosition(filter, timestamp = filter.timestamp) {
+    const seconds = Math.max(0, timestamp - filter.timestamp) / 1000;
+    const east = predictAxis(filter.east, seconds);
+    const north = predictAxis(filter.north, seconds);
+    
+    return {
+        lat: filter.origin.lat + north.p / 111320,
+        lon: filter.origin.lon + east.p / (111320 * Math.cos(filter.origin.lat * Math.PI / 180)),
+        accuracy: Math.sqrt(Math.max(east.covariance[0], north.covariance[0])),
+        timestamp,
+    };
+}
+
+// Speed (m/s) and heading (degrees from north) from the filter's velocity
+function getFilteredMotion(filter) {
+    return {
+        speed: Math.hypot(filter.east.v, filter.north.v),
+        heading: (Math.atan2(filter.east.v, filter.north.v) * 180 / Math.PI + 360) % 360,
+    };
+}
+
+// Formatting
+function formatTime(milliseconds) {
+    const totalSeconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+function formatClock(timestamp) {
+    const date = new Date(timestamp);
+    return date.getHours().toString().padStart(2, '0') + ':' + 
+        date.getMinutes().toString().padStart(2, '0') + ':' + 
+        date.getSeconds().toString().padStart(2, '0');
+}
+
+function formatDuration(milliseconds) {
+    if (milliseconds % 60000 === 0) {
+        const minutes = milliseconds / 60000;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    if (milliseconds < 60000) {
+        return `${milliseconds / 1000} seconds`;
+    }
+    return `${formatTime(milliseconds)} minutes`;
+}
+
+// Seconds under a minute, then minutes and seconds: "45s", "2:05"
+function formatAge(milliseconds) {
+    const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+    return seconds < 60 ? `${seconds}s` : formatTime(milliseconds);
+}
+
+function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)}m` : `${(meters / 1000).toFixed(1)}km`;
+}
+
+function formatAccuracy(accuracy) {
+    if (accuracy < 1000) {
+        return `${Math.round(accuracy)}m`;
+    }
+    return `${(accuracy / 1000).toFixed(1)}km`;
+}
+
+// For player-chosen text (names) put into Leaflet popups and tooltips,
+// which render their content as HTML
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        calculateDistance,
+        isInPlayArea,
+        offsetPosition,
+        getBearing,
+        parseCorners,
+        lonToTileX,
+        latToTileY,
+        getAreaBounds,
+        getOpponents,
+        describeSighting,
+        describeAge,
+        inferHeading,
+        getNearestDistance,
+        getOutcome,
+        describePendingCapture,
+        updatePositionFilter,
+        getFilteredPosition,
+        getFilteredMotion,
+        formatTime,
+        formatClock,
+        formatDuration,
+        formatAge,
+        formatDistance,
+        formatAccuracy,
+        escapeHtml,
+    };
+}
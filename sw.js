@@ -0,0 +1,105 @@
+// Hunter vs Hunted - Service Worker
+// Keeps the app shell and map tiles available when the signal drops.
+// Backend requests are never cached: they go straight to the network.
+
+const SHELL_CACHE = 'hunter-shell-v2'; // Bump when the shell file list changes
+const TILE_CACHE = 'hunter-tiles-v2'; // Shared with app.js, which fills it in the lobby
+const TILE_HOST = 'tile.openstreetmap.org';
+const MAX_TILES = 2000; // Oldest tiles are dropped beyond this
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'game-logic.js',
+    'app.js',
+    'styles.css',
+    'manifest.json',
+    'icon.svg',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+];
+
+const SHELL_URLS = SHELL_FILES.map(file => new URL(file, self.location).href);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== TILE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    
+    const url = new URL(event.request.url);
+    
+    if (url.hostname === TILE_HOST) {
+        event.respondWith(fetchTile(event.request));
+    } else if (SHELL_URLS.includes(url.origin + url.pathname)) {
+        event.respondWith(fetchShell(event.request));
+    }
+});
+
+// Tiles don't change during a game: cache first, keeping new ones we fetch.
+// The map asks for tiles with CORS. Opaque (no-cors) responses aren't kept:
+// browsers count each against storage quota as several megabytes, so a cache
+// of them would run out of room long before MAX_TILES.
+async function fetchTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request.url);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+        trimTiles(cache);
+    }
+    
+    return response;
+}
+
+async function trimTiles(cache) {
+    const keys = await cache.keys();
+    
+    // Keys come back oldest first
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_TILES))) {
+        await cache.delete(key);
+    }
+}
+
+// The network has the newest app; the cache covers for it offline.
+// Leaflet is versioned in its URL, so the cached copy is always right.
+async function fetchShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    
+    if (new URL(request.url).origin !== self.location.origin) {
+        const cached = await cache.match(request.url);
+        if (cached) return cached;
+    }
+    
+    try {
+        const response = await fetch(request);
+        
+        if (response.ok) {
+            await cache.put(request.url, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request.url);
+        if (cached) return cached;
+        throw error;
+    }
+}
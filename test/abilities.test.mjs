@@ -0,0 +1,137 @@
+// Abilities through /ability: charges and cooldowns, radar, decoys and
+// going dark, as the hunters see them in /locations
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDistance, offsetPosition } from '../game-logic.js';
+import { startClock, tick, call, fixAt, setUpLobby, start, HOME } from './helpers.mjs';
+
+const DELAY = 30 * 1000;
+const INTERVAL = 5000;
+
+before(() => startClock());
+
+async function startGame(gameCode, rules = {}) {
+  const players = await setUpLobby(gameCode, { positionDelay: DELAY, updateInterval: INTERVAL, trailLength: 10, ...rules });
+  await start(players.hunter);
+  return players;
+}
+
+function useAbility(player, ability) {
+  return call('/ability', { body: { ability }, token: player.token });
+}
+
+// The hunted player walks north-east a metre a second for `seconds`,
+// sending a fix each interval, while the hunter stays at HOME
+async function walk({ hunter, hunted }, from, seconds) {
+  for (let elapsed = INTERVAL; elapsed <= seconds * 1000; elapsed += INTERVAL) {
+    tick(INTERVAL);
+    await call('/updateLocation', { body: fixAt(0), token: hunter.token });
+    await call('/updateLocation', { body: fixAt(from + elapsed / 1000), token: hunted.token });
+  }
+  return from + seconds;
+}
+
+async function huntedAsSeen({ hunter }) {
+  const { data } = await call('/locations', { token: hunter.token });
+  return data.locations[0] || null;
+}
+
+function distanceBetween(a, b) {
+  return calculateDistance(a.lat, a.lon, b.lat, b.lon);
+}
+
+test('abilities belong to one side and need the game to be on', async () => {
+  const { hunter, hunted } = await setUpLobby('ROLES');
+  
+  const early = await useAbility(hunter, 'radar');
+  assert.equal(early.status, 409);
+  assert.equal(early.data.error, 'Abilities can only be used during the game');
+  
+  await start(hunter);
+  assert.equal((await useAbility(hunter, 'decoy')).data.error, 'Unknown ability for a hunter');
+  assert.equal((await useAbility(hunted, 'radar')).data.error, 'Unknown ability for a hunted');
+  assert.deepEqual(Object.keys((await useAbility(hunted, 'goDark')).data.abilities), ['decoy', 'goDark']);
+});
+
+test('charges run out, and each use waits for the cooldown', async () => {
+  const { hunter } = await startGame('CHARGES', { abilityCharges: 2 });
+  
+  const { data } = await useAbility(hunter, 'radar');
+  assert.equal(data.abilities.radar.charges, 1);
+  assert.equal(data.abilities.radar.activeUntil, Date.now() + 10000);
+  
+  tick(30000);
+  const cooling = await useAbility(hunter, 'radar');
+  assert.equal(cooling.status, 409);
+  assert.equal(cooling.data.error, 'Ready again in 30s');
+  
+  tick(30000);
+  assert.equal((await useAbility(hunter, 'radar')).data.abilities.radar.charges, 0);
+  
+  tick(60000);
+  assert.equal((await useAbility(hunter, 'radar')).data.error, 'No charges left');
+});
+
+test('radar shows the hunted live for 10 seconds', async () => {
+  const players = await startGame('RADAR');
+  await walk(players, 500, 60);
+  
+  const delayed = await huntedAsSeen(players);
+  assert.equal(Date.now() - delayed.timestamp, DELAY);
+  
+  await useAbility(players.hunter, 'radar');
+  const live = await huntedAsSeen(players);
+  assert.equal(live.timestamp, Date.now());
+  assert.equal(live.radar, true);
+  
+  // The route there stays hidden
+  assert.equal(Date.now() - live.trail.at(-1).timestamp, DELAY + INTERVAL);
+  
+  tick(10000);
+  assert.equal((await huntedAsSeen(players)).radar, false);
+});
+
+test('going dark hides the hunted, even from radar', async () => {
+  const players = await startGame('DARK');
+  await walk(players, 500, 60);
+  
+  await useAbility(players.hunted, 'goDark');
+  assert.equal(await huntedAsSeen(players), null);
+  
+  await useAbility(players.hunter, 'radar');
+  assert.equal(await huntedAsSeen(players), null);
+  
+  tick(60000);
+  assert.ok(await huntedAsSeen(players));
+});
+
+test('a decoy moves and ages like a delayed position', async () => {
+  const players = await startGame('DECOY');
+  let distance = await walk(players, 500, 60);
+  const before = await huntedAsSeen(players);
+  
+  await useAbility(players.hunted, 'decoy');
+  const first = await huntedAsSeen(players);
+  const away = distanceBetween(first, before);
+  assert.ok(away >= 150 && away <= 300, `${away}m from the real position`);
+  assert.equal(Date.now() - first.timestamp, DELAY);
+  
+  // Half a minute later it has walked with the player and is no older
+  distance = await walk(players, distance, 30);
+  const later = await huntedAsSeen(players);
+  assert.equal(Date.now() - later.timestamp, DELAY);
+  assert.ok(Math.abs(distanceBetween(later, first) - 30) < 1);
+  assert.ok(Math.abs(distanceBetween(later, offsetPosition(HOME, 45, distance - 30)) - away) < 1);
+  
+  // The whole trail leads to it, even the part seen before the decoy
+  const last = later.trail.at(-1);
+  assert.ok(Math.abs(distanceBetween(later, last) - 5) < 1);
+  const seenBefore = later.trail.find(point => point.timestamp === before.timestamp);
+  assert.ok(distanceBetween(seenBefore, first) < 0.01);
+  
+  // Radar sees through it
+  await useAbility(players.hunter, 'radar');
+  const live = await huntedAsSeen(players);
+  assert.ok(distanceBetween(live, offsetPosition(HOME, 45, distance)) < 1);
+});
@@ -0,0 +1,116 @@
+// The anti-cheat checks on each location update: what gets flagged, what
+// doesn't, and dropping flagged updates when the rules say so
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+async function startGame(gameCode, rules = {}) {
+  const players = await setUpLobby(gameCode, rules);
+  const referee = await join(gameCode, 'Ref', 'referee');
+  await start(players.hunter);
+  return { ...players, referee };
+}
+
+// Sends `fix` as the hunted player, who is far from the hunter.
+// Returns the reasons it was flagged for.
+async function send(hunted, fix) {
+  const { status, data } = await call('/updateLocation', { body: fix, token: hunted.token });
+  return { status, data, reasons: (data.flags || []).map(flag => flag.reason) };
+}
+
+test('moving faster than 40 m/s is flagged, allowing for accuracy', async () => {
+  const { hunted } = await startGame('SPEED');
+  await send(hunted, fixAt(1000, 90));
+  
+  // 300m in 5s is 60 m/s, but each fix could be 90m out
+  tick(5000);
+  assert.deepEqual((await send(hunted, fixAt(1300, 90))).reasons, []);
+  
+  tick(5000);
+  const { status, reasons } = await send(hunted, fixAt(5000, 5));
+  assert.equal(status, 200);
+  assert.deepEqual(reasons, ['impossible_speed']);
+});
+
+test('timestamps from the future or going backwards are flagged', async () => {
+  const { hunted } = await startGame('CLOCKS');
+  
+  assert.deepEqual((await send(hunted, { ...fixAt(1000), timestamp: Date.now() + 10000 })).reasons, []);
+  
+  tick(5000);
+  assert.deepEqual((await send(hunted, { ...fixAt(1000), timestamp: Date.now() + 60000 })).reasons, ['future_timestamp']);
+  
+  tick(5000);
+  assert.deepEqual((await send(hunted, { ...fixAt(1000), timestamp: Date.now() - 60000 })).reasons, ['backwards_timestamp']);
+});
+
+test('accuracy better than a metre is flagged', async () => {
+  const { hunted } = await startGame('PERFECT');
+  
+  assert.deepEqual((await send(hunted, fixAt(1000, 0.5))).reasons, ['perfect_accuracy']);
+  assert.deepEqual((await send(hunted, fixAt(1000, 1))).reasons, []);
+});
+
+test('ten new fixes at exactly the same spot are flagged', async () => {
+  const { hunted } = await startGame('FROZEN');
+  const fix = fixAt(1000);
+  await send(hunted, fix);
+  
+  // Resending the same fix, as the client does without a new one, is fine
+  for (let i = 0; i < 20; i++) {
+    tick(1000);
+    assert.deepEqual((await send(hunted, fix)).reasons, []);
+  }
+  
+  for (let i = 1; i < 10; i++) {
+    tick(1000);
+    assert.deepEqual((await send(hunted, fixAt(1000))).reasons, []);
+  }
+  
+  tick(1000);
+  assert.deepEqual((await send(hunted, fixAt(1000))).reasons, ['identical_fixes']);
+});
+
+test('each player keeps their last 20 flags, for everyone to see', async () => {
+  const { hunter, hunted } = await startGame('KEPT');
+  
+  for (let i = 0; i < 25; i++) {
+    await send(hunted, fixAt(1000, 0.5));
+  }
+  
+  const { data } = await call('/game', { token: hunter.token });
+  const flagged = data.game.players.find(player => player.playerId === hunted.playerId);
+  assert.equal(flagged.cheatFlags.length, 20);
+  assert.equal(flagged.cheatFlags[0].detail, '0.5m');
+  
+  // Hunters see the flag on the delayed position
+  tick(2 * 60 * 1000);
+  const { data: seen } = await call('/locations', { token: hunter.token });
+  assert.equal(seen.locations[0].flagged, true);
+});
+
+test('flagged updates are kept unless the rules reject them', async () => {
+  for (const rejectFlaggedUpdates of [false, true]) {
+    const { hunted, referee } = await startGame(rejectFlaggedUpdates ? 'REJECT' : 'ACCEPT', { rejectFlaggedUpdates });
+    await send(hunted, fixAt(1000));
+    
+    tick(5000);
+    const { status, data } = await send(hunted, fixAt(5000));
+    
+    const { data: seen } = await call('/locations', { token: referee.token });
+    const position = seen.locations.find(location => location.playerId === hunted.playerId);
+    
+    if (rejectFlaggedUpdates) {
+      assert.equal(status, 422);
+      assert.equal(data.error, 'Location rejected: impossible_speed');
+      assert.equal(Date.now() - position.timestamp, 5000);
+    } else {
+      assert.equal(status, 200);
+      assert.equal(position.timestamp, Date.now());
+    }
+    assert.ok(position.flagged);
+  }
+});
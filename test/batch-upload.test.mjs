@@ -0,0 +1,137 @@
+// Fixes queued while offline and sent together to /updateLocations:
+// validation, ordering, duplicates, clock correction and anti-cheat
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+// A game under way with a referee watching, who sees every player's
+// position and trail live
+async function startWatchedGame(gameCode, rules = {}) {
+  const players = await setUpLobby(gameCode, { trailLength: 10, ...rules });
+  const referee = await join(gameCode, 'Ref', 'referee');
+  await start(players.hunter);
+  return { ...players, referee };
+}
+
+// The hunted player's position and trail as the referee sees them
+async function watchHunted({ hunted, referee }) {
+  const { data } = await call('/locations', { token: referee.token });
+  return data.locations.find(location => location.playerId === hunted.playerId);
+}
+
+function upload(player, points, sentAt) {
+  return call('/updateLocations', { body: { points, sentAt }, token: player.token });
+}
+
+test('a batch must hold 1 to 120 valid fixes', async () => {
+  const { hunted, referee } = await startWatchedGame('SIZES');
+  
+  for (const points of [[], Array.from({ length: 121 }, () => fixAt(0)), 'nope']) {
+    const { status, data } = await upload(hunted, points, Date.now());
+    assert.equal(status, 400);
+    assert.equal(data.error, 'points must hold 1 to 120 fixes');
+  }
+  
+  const invalid = await upload(hunted, [fixAt(0), { ...fixAt(0), lat: 91 }], Date.now());
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.data.error, 'Point 1: Invalid latitude');
+  
+  const refereeUpload = await upload(referee, [fixAt(0)], Date.now());
+  assert.equal(refereeUpload.status, 403);
+});
+
+test('fixes are stamped in server time, in order', async () => {
+  const players = await startWatchedGame('ORDER');
+  tick(60000);
+  
+  // The phone's clock is 3s behind ours
+  const clientNow = Date.now() - 3000;
+  const points = [20000, 10000, 0].map((age, i) => ({ ...fixAt(100 + i * 10), timestamp: clientNow - age }));
+  
+  const { data } = await upload(players.hunted, points, clientNow);
+  assert.equal(data.accepted, 3);
+  assert.equal(data.duplicates, 0);
+  
+  const location = await watchHunted(players);
+  assert.equal(location.timestamp, Date.now());
+  assert.deepEqual(location.trail.map(point => Date.now() - point.timestamp), [20000, 10000]);
+});
+
+test('resent and out-of-order fixes are duplicates', async () => {
+  const players = await startWatchedGame('DUPES');
+  tick(60000);
+  
+  const points = [10000, 5000, 0].map(age => ({ ...fixAt(100), timestamp: Date.now() - age }));
+  assert.equal((await upload(players.hunted, points, Date.now())).data.accepted, 3);
+  
+  // The same batch again, as after a response that never arrived
+  tick(1000);
+  const retried = await upload(players.hunted, points, Date.now());
+  assert.equal(retried.data.accepted, 0);
+  assert.equal(retried.data.duplicates, 3);
+  
+  // A fix older than one before it in the same batch is dropped too
+  tick(10000);
+  const shuffled = [2000, 4000, 1000].map(age => ({ ...fixAt(100), timestamp: Date.now() - age }));
+  const mixed = await upload(players.hunted, shuffled, Date.now());
+  assert.equal(mixed.data.accepted, 2);
+  assert.equal(mixed.data.duplicates, 1);
+  
+  const location = await watchHunted(players);
+  assert.equal(location.trail.length, 4);
+});
+
+test('a made-up send time can\'t push fixes into the past', async () => {
+  const players = await startWatchedGame('SKEW', { captureDistance: 20, captureConfirmTime: 0 });
+  tick(60000);
+  await call('/updateLocation', { body: fixAt(190), token: players.hunter.token });
+  
+  // Claiming to send an hour from now would stamp the fixes an hour ago
+  const points = [10000, 0].map(age => ({ ...fixAt(200), timestamp: Date.now() - age }));
+  const { data } = await upload(players.hunted, points, Date.now() + 60 * 60 * 1000);
+  
+  // The correction is capped, and the newest fix still counts as live
+  assert.equal(data.accepted, 2);
+  assert.equal(data.status, 'ended');
+  assert.equal(data.result.reason, 'capture');
+});
+
+test('the clock correction is capped both ways', async () => {
+  const players = await startWatchedGame('CAPPED');
+  tick(60000);
+  
+  // A phone claiming to be a minute behind only gets 5s of correction
+  const clientNow = Date.now() - 60000;
+  const points = [50000, 40000].map(age => ({ ...fixAt(100), timestamp: clientNow - age }));
+  await upload(players.hunted, points, clientNow);
+  
+  const location = await watchHunted(players);
+  assert.equal(Date.now() - location.trail[0].timestamp, 60000 + 50000 - 5000);
+  // The newest is where the player is now, so it's live
+  assert.equal(Date.now() - location.timestamp, 30000);
+});
+
+test('flagged fixes in a batch are reported, and dropped if the rules say so', async () => {
+  const players = await startWatchedGame('FLAGGED', { rejectFlaggedUpdates: true });
+  tick(60000);
+  
+  // The middle fix is 5km from the others a second later
+  const points = [
+    { ...fixAt(100), timestamp: Date.now() - 2000 },
+    { ...fixAt(5000), timestamp: Date.now() - 1000 },
+    { ...fixAt(101), timestamp: Date.now() },
+  ];
+  const { data } = await upload(players.hunted, points, Date.now());
+  
+  assert.equal(data.accepted, 2);
+  assert.equal(data.rejected.length, 1);
+  assert.equal(data.rejected[0].timestamp, points[1].timestamp);
+  assert.equal(data.rejected[0].error, 'Location rejected: impossible_speed');
+  
+  const location = await watchHunted(players);
+  assert.equal(location.trail.length, 1);
+  assert.ok(location.flagged);
+});
@@ -0,0 +1,123 @@
+// The play area: checking it, the out-of-bounds grace period, and the
+// reveal and disqualify penalties
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { offsetPosition } from '../game-logic.js';
+import { startClock, tick, call, fixAt, setUpLobby, join, start, HOME } from './helpers.mjs';
+
+const AREA = { type: 'circle', center: HOME, radius: 500 };
+const GRACE = 30 * 1000;
+
+before(() => startClock());
+
+async function startGame(gameCode, rules = {}) {
+  const players = await setUpLobby(gameCode, { playArea: AREA, outOfBoundsGrace: GRACE, ...rules });
+  await start(players.hunter);
+  
+  await call('/updateLocation', { body: fixAt(0), token: players.hunter.token });
+  await call('/updateLocation', { body: fixAt(400), token: players.hunted.token });
+  return players;
+}
+
+async function view(player) {
+  return (await call('/locations', { token: player.token })).data;
+}
+
+test('play areas are checked when the game is created', async () => {
+  const cases = [
+    [{ type: 'circle', center: HOME, radius: 10 }, 'radius must be between 50 and 20000'],
+    [{ type: 'circle', radius: 500 }, 'circle needs a center with lat and lon'],
+    [{ type: 'polygon', points: [HOME, HOME] }, 'polygon needs between 3 and 50 points'],
+    [{ type: 'square' }, 'type must be circle or polygon'],
+  ];
+  
+  for (const [playArea, error] of cases) {
+    const { status, data } = await call('/createGame', {
+      body: { gameCode: 'AREAS', playerName: 'Hunter', role: 'hunter', rules: { playArea } },
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error, `Invalid rule playArea: ${error}`);
+  }
+});
+
+test('leaving the area reveals a player live once the grace period is up', async () => {
+  const { hunter, hunted } = await startGame('REVEAL');
+  
+  await call('/updateLocation', { body: fixAt(600), token: hunted.token });
+  tick(GRACE - 1);
+  assert.equal((await view(hunted)).penalty, null);
+  assert.deepEqual((await view(hunter)).locations, []);
+  
+  tick(1);
+  assert.equal((await view(hunted)).penalty, 'revealed');
+  const [seen] = (await view(hunter)).locations;
+  assert.equal(seen.revealed, true);
+  assert.equal(seen.timestamp, Date.now() - GRACE);
+  
+  // Coming back ends the reveal
+  await call('/updateLocation', { body: fixAt(400), token: hunted.token });
+  assert.equal((await view(hunted)).penalty, null);
+  assert.deepEqual((await view(hunter)).locations, []);
+});
+
+test('returning within the grace period starts it over', async () => {
+  const { hunted } = await startGame('GRACE');
+  
+  await call('/updateLocation', { body: fixAt(600), token: hunted.token });
+  tick(GRACE - 1000);
+  await call('/updateLocation', { body: fixAt(400), token: hunted.token });
+  await call('/updateLocation', { body: fixAt(600), token: hunted.token });
+  
+  tick(GRACE - 1000);
+  assert.equal((await view(hunted)).penalty, null);
+});
+
+test('a disqualified side loses', async () => {
+  const { hunter, hunted } = await setUpLobby('DISQUAL', {
+    playArea: AREA,
+    outOfBoundsGrace: GRACE,
+    outOfBoundsPenalty: 'disqualify',
+  });
+  const fawn = await join('DISQUAL', 'Fawn', 'hunted');
+  await start(hunter);
+  
+  for (const player of [hunted, fawn]) {
+    await call('/updateLocation', { body: fixAt(600), token: player.token });
+  }
+  
+  // One back in time, one not
+  tick(GRACE - 1000);
+  await call('/updateLocation', { body: fixAt(400), token: fawn.token });
+  tick(1000);
+  
+  assert.equal((await view(hunted)).penalty, 'disqualified');
+  assert.equal((await view(fawn)).penalty, null);
+  
+  // Disqualification is for good, even back inside
+  await call('/updateLocation', { body: fixAt(400), token: hunted.token });
+  assert.equal((await view(hunted)).penalty, 'disqualified');
+  
+  await call('/updateLocation', { body: fixAt(600), token: fawn.token });
+  tick(GRACE);
+  
+  const { data } = await call('/game', { token: hunter.token });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.reason, 'disqualified');
+  assert.equal(data.game.result.winner, 'hunter');
+});
+
+test('polygon areas work too', async () => {
+  const corners = [0, 90, 180, 270].map(bearing => offsetPosition(HOME, bearing + 45, 700));
+  const { hunter, hunted } = await startGame('POLYGON', { playArea: { type: 'polygon', points: corners } });
+  
+  // 600m out is inside towards a corner, but not straight north
+  await call('/updateLocation', { body: fixAt(600), token: hunted.token });
+  tick(GRACE);
+  assert.equal((await view(hunted)).penalty, null);
+  
+  await call('/updateLocation', { body: fixAt(600, 5, 0), token: hunted.token });
+  tick(GRACE);
+  assert.equal((await view(hunted)).penalty, 'revealed');
+  assert.equal((await view(hunter)).locations[0].revealed, true);
+});
@@ -0,0 +1,70 @@
+// Proximity alerts: hunted players learn how close the nearest live hunter
+// is as a band, never where they are
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+// Bands are multiples of the capture distance: very close within 150m,
+// near within 400m
+const RULES = { captureDistance: 50 };
+
+function moveTo(player, distance) {
+  return call('/updateLocation', { body: fixAt(distance), token: player.token });
+}
+
+async function dangerFor(player) {
+  return (await call('/locations', { token: player.token })).data.danger;
+}
+
+test('the band follows the hunter\'s distance', async () => {
+  const { hunter, hunted } = await setUpLobby('BANDS', RULES);
+  await start(hunter);
+  await moveTo(hunted, 0);
+  
+  for (const [distance, band] of [[1000, 'far'], [390, 'near'], [160, 'near'], [140, 'very_close'], [60, 'very_close']]) {
+    await moveTo(hunter, distance);
+    assert.equal(await dangerFor(hunted), band, `${distance}m`);
+  }
+  
+  // The band is all they get: the hunter's position is still delayed
+  const { data } = await call('/locations', { token: hunted.token });
+  assert.deepEqual(data.locations, []);
+});
+
+test('only hunters with a live position count', async () => {
+  const { hunter, hunted } = await setUpLobby('NEAREST', RULES);
+  const second = await join('NEAREST', 'Hound', 'hunter');
+  await start(hunter);
+  await moveTo(hunted, 0);
+  
+  assert.equal(await dangerFor(hunted), null);
+  
+  await moveTo(hunter, 1000);
+  await moveTo(second, 300);
+  assert.equal(await dangerFor(hunted), 'near');
+  
+  // The nearer hunter goes quiet, so only the far one counts
+  tick(20000);
+  await moveTo(hunter, 1000);
+  tick(11000);
+  assert.equal(await dangerFor(hunted), 'far');
+  
+  tick(20000);
+  assert.equal(await dangerFor(hunted), null);
+});
+
+test('only hunted players in an active game get alerts', async () => {
+  const { hunter, hunted } = await setUpLobby('WHO', RULES);
+  await moveTo(hunted, 0);
+  await moveTo(hunter, 100);
+  assert.equal(await dangerFor(hunted), null);
+  
+  await start(hunter);
+  await moveTo(hunted, 0);
+  await moveTo(hunter, 100);
+  assert.equal(await dangerFor(hunted), 'very_close');
+  assert.equal(await dangerFor(hunter), null);
+});
@@ -0,0 +1,183 @@
+// A game kept in a GameObject, over storage that hands out copies the way
+// Durable Object storage does, with requests interleaving at their awaits
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { worker, GameObject, ENV, ORIGIN, startClock, tick } from './helpers.mjs';
+
+before(() => startClock());
+
+function createStorage() {
+  const data = new Map();
+  let alarm = null;
+  
+  return {
+    async get(key) { return structuredClone(data.get(key)); },
+    async put(key, value) { data.set(key, structuredClone(value)); },
+    async deleteAll() { data.clear(); },
+    async getAlarm() { return alarm; },
+    async setAlarm(time) { alarm = time; },
+    async deleteAlarm() { alarm = null; },
+  };
+}
+
+function request(path, { body, token } = {}) {
+  const headers = { Origin: ORIGIN, 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  
+  return new Request(`https://api.test${path}`, {
+    method: body === undefined ? 'GET' : 'POST',
+    headers,
+    body: typeof body === 'string' || body instanceof ReadableStream ? body : JSON.stringify(body),
+    duplex: 'half',
+  });
+}
+
+// A request body that doesn't arrive until `release()` is called
+function slowBody(data) {
+  let release;
+  const body = new ReadableStream({
+    start(controller) {
+      release = () => {
+        controller.enqueue(new TextEncoder().encode(JSON.stringify(data)));
+        controller.close();
+      };
+    },
+  });
+  return { body, release: () => release() };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('requests that overlap don\'t undo each other\'s changes', async () => {
+  const object = new GameObject({ storage: createStorage() }, ENV);
+  const send = async (path, options) => (await object.fetch(request(path, options))).json();
+  
+  const host = await send('/createGame', { body: { gameCode: 'RACE', playerName: 'A', role: 'hunter' } });
+  const guest = await send('/joinGame', { body: { gameCode: 'RACE', playerName: 'B', role: 'hunted' } });
+  
+  // The host's ready is still waiting on its body when the guest's arrives
+  const { body, release } = slowBody({ ready: true });
+  const hostReady = object.fetch(request('/ready', { body, token: host.token }));
+  await settle();
+  
+  await send('/ready', { body: { ready: true }, token: guest.token });
+  release();
+  await hostReady;
+  
+  const { game } = await send('/game', { token: host.token });
+  assert.deepEqual(game.players.map(player => player.ready), [true, true]);
+});
+
+test('the game survives the object being recreated from storage', async () => {
+  const storage = createStorage();
+  const first = new GameObject({ storage }, ENV);
+  const created = await (await first.fetch(request('/createGame', {
+    body: { gameCode: 'KEEP', playerName: 'A', role: 'hunter' },
+  }))).json();
+  
+  const second = new GameObject({ storage }, ENV);
+  const { game } = await (await second.fetch(request('/game', { token: created.token }))).json();
+  assert.equal(game.gameCode, 'KEEP');
+});
+
+test('a game whose matches couldn\'t be recorded tries again on its next save', async () => {
+  // A ProfileObject that fails the first report
+  const reports = [];
+  const PROFILES = {
+    idFromName: name => name,
+    get: () => ({
+      fetch: async (url, init) => {
+        reports.push(JSON.parse(init.body));
+        return new Response(null, { status: reports.length === 1 ? 500 : 204 });
+      },
+    }),
+  };
+  const object = new GameObject({ storage: createStorage() }, { ...ENV, PROFILES });
+  const send = async (path, options) => (await object.fetch(request(path, options))).json();
+  
+  const { profileToken } = await (await worker.fetch(request('/profile', { body: { playerName: 'A' } }), ENV)).json();
+  const host = await send('/createGame', { body: { gameCode: 'RETRY', playerName: 'A', role: 'hunter', profileToken } });
+  const guest = await send('/joinGame', { body: { gameCode: 'RETRY', playerName: 'B', role: 'hunted' } });
+  const referee = await send('/joinGame', { body: { gameCode: 'RETRY', playerName: 'C', role: 'referee' } });
+  
+  for (const player of [host, guest]) {
+    await send('/ready', { body: { ready: true }, token: player.token });
+  }
+  const { game } = await send('/startGame', { body: {}, token: host.token });
+  tick(game.startTime - Date.now());
+  
+  const ended = await send('/endGame', { body: { winner: 'hunter' }, token: referee.token });
+  assert.equal(ended.game.status, 'ended');
+  assert.equal(reports.length, 1);
+  
+  await send('/game', { token: host.token });
+  assert.equal(reports.length, 2);
+  assert.deepEqual(reports[1], reports[0]);
+  
+  await send('/game', { token: host.token });
+  assert.equal(reports.length, 2);
+});
+
+test('the alarm wakes the game for its sockets at the next deadline', async () => {
+  const storage = createStorage();
+  const object = new GameObject({ storage }, ENV);
+  const send = async (path, options) => (await object.fetch(request(path, options))).json();
+  
+  const host = await send('/createGame', { body: { gameCode: 'ALARM', playerName: 'A', role: 'hunter' } });
+  const guest = await send('/joinGame', { body: { gameCode: 'ALARM', playerName: 'B', role: 'hunted' } });
+  const referee = await send('/joinGame', { body: { gameCode: 'ALARM', playerName: 'C', role: 'referee' } });
+  
+  for (const player of [host, guest]) {
+    await send('/ready', { body: { ready: true }, token: player.token });
+  }
+  
+  const { webSocket } = await object.fetch(new Request('https://api.test/connect', {
+    headers: { Origin: ORIGIN, Upgrade: 'websocket', Authorization: `Bearer ${referee.token}` },
+  }));
+  const { game } = await send('/startGame', { body: {}, token: host.token });
+  assert.equal(await storage.getAlarm(), game.startTime);
+  
+  // Cloudflare clears the alarm as it fires
+  tick(game.startTime - Date.now());
+  await storage.deleteAlarm();
+  await object.alarm();
+  
+  assert.equal(webSocket.received.filter(message => message.type === 'game').at(-1).game.status, 'active');
+  assert.equal(await storage.getAlarm(), game.endTime);
+});
+
+test('the alarm drops tracks once the export window has passed', async () => {
+  const storage = createStorage();
+  const object = new GameObject({ storage }, ENV);
+  const send = async (path, options) => (await object.fetch(request(path, options))).json();
+  
+  const host = await send('/createGame', { body: { gameCode: 'FORGET', playerName: 'A', role: 'hunter' } });
+  const guest = await send('/joinGame', { body: { gameCode: 'FORGET', playerName: 'B', role: 'hunted' } });
+  const referee = await send('/joinGame', { body: { gameCode: 'FORGET', playerName: 'C', role: 'referee' } });
+  
+  for (const player of [host, guest]) {
+    await send('/ready', { body: { ready: true }, token: player.token });
+  }
+  const { game } = await send('/startGame', { body: {}, token: host.token });
+  tick(game.startTime - Date.now());
+  
+  for (const player of [host, guest]) {
+    await send('/updateLocation', { body: { lat: 51.5, lon: -0.1, accuracy: 5, timestamp: Date.now() }, token: player.token });
+  }
+  await send('/endGame', { body: { winner: null }, token: referee.token });
+  
+  // The host stays, so the game does too; the guest goes quiet
+  tick(10 * 60 * 1000);
+  await send('/game', { token: host.token });
+  const kept = await storage.get('game');
+  assert.deepEqual(Array.from(kept.players.values()).map(player => player.track.length), [1, 1, 0]);
+  
+  tick(5 * 60 * 1000 + 1);
+  await object.alarm();
+  const trimmed = await storage.get('game');
+  assert.deepEqual(Array.from(trimmed.players.values()).map(player => player.track.length), [0]);
+  assert.deepEqual(trimmed.departed, []);
+});
@@ -0,0 +1,367 @@
+// The client's rule and formatting functions from game-logic.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateDistance,
+  isInPlayArea,
+  offsetPosition,
+  getBearing,
+  parseCorners,
+  lonToTileX,
+  latToTileY,
+  getAreaBounds,
+  getOpponents,
+  describeSighting,
+  describeAge,
+  inferHeading,
+  getNearestDistance,
+  getOutcome,
+  describePendingCapture,
+  updatePositionFilter,
+  getFilteredPosition,
+  getFilteredMotion,
+  formatTime,
+  formatClock,
+  formatDuration,
+  formatAge,
+  formatDistance,
+  formatAccuracy,
+  escapeHtml,
+} from '../game-logic.js';
+
+const HOME = { lat: 51.5074, lon: -0.1278 };
+
+// Equal to within `tolerance`
+function assertNear(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Repeatable GPS noise: normally distributed metres from a seeded generator
+function noiseSource(seed) {
+  let state = seed;
+  const uniform = () => {
+    state = (state * 1103515245 + 12345) % 2 ** 31;
+    return (state + 1) / (2 ** 31 + 1);
+  };
+  return () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Fixes once a second, `accuracy` metres accurate, along `track(seconds)`
+function simulateFixes(track, { count, accuracy = 10, seed = 1 }) {
+  const noise = noiseSource(seed);
+  const fixes = [];
+  
+  for (let i = 0; i < count; i++) {
+    const truth = track(i);
+    // Accuracy is a 68% radius, so each axis gets a little under it
+    const error = offsetPosition(truth, 0, noise() * accuracy / Math.SQRT2);
+    const fix = offsetPosition(error, 90, noise() * accuracy / Math.SQRT2);
+    fixes.push({ truth, fix: { ...fix, accuracy, timestamp: i * 1000 } });
+  }
+  
+  return fixes;
+}
+
+function runFilter(fixes) {
+  let filter = null;
+  return fixes.map(({ fix }) => {
+    const update = updatePositionFilter(filter, fix);
+    filter = update.filter;
+    return update;
+  });
+}
+
+function averageError(fixes, positions) {
+  const errors = fixes.map(({ truth }, i) =>
+    calculateDistance(truth.lat, truth.lon, positions[i].lat, positions[i].lon));
+  return errors.reduce((sum, error) => sum + error, 0) / errors.length;
+}
+
+test('calculateDistance measures along the earth', () => {
+  assert.equal(calculateDistance(HOME.lat, HOME.lon, HOME.lat, HOME.lon), 0);
+  // A degree of latitude is about 111km anywhere
+  assertNear(calculateDistance(0, 0, 1, 0), 111195, 1);
+  // London to Paris
+  assertNear(calculateDistance(51.5074, -0.1278, 48.8566, 2.3522), 343500, 1000);
+  // Either way round
+  assert.equal(calculateDistance(1, 2, 3, 4), calculateDistance(3, 4, 1, 2));
+});
+
+test('offsetPosition moves the given distance along a bearing', () => {
+  for (const bearing of [0, 90, 180, 270, 45]) {
+    const point = offsetPosition(HOME, bearing, 100);
+    assertNear(calculateDistance(HOME.lat, HOME.lon, point.lat, point.lon), 100, 0.5);
+  }
+  
+  assert.ok(offsetPosition(HOME, 0, 100).lat > HOME.lat);
+  assert.ok(offsetPosition(HOME, 90, 100).lon > HOME.lon);
+});
+
+test('getBearing points from one position to another', () => {
+  for (const bearing of [0, 45, 90, 180, 270, 315]) {
+    assertNear(getBearing(HOME, offsetPosition(HOME, bearing, 100)), bearing, 0.1);
+  }
+});
+
+test('isInPlayArea allows everywhere without a play area', () => {
+  assert.equal(isInPlayArea(null, 0, 0), true);
+});
+
+test('isInPlayArea checks circles by distance from the centre', () => {
+  const circle = { type: 'circle', center: HOME, radius: 100 };
+  const inside = offsetPosition(HOME, 30, 99);
+  const outside = offsetPosition(HOME, 30, 101);
+  
+  assert.equal(isInPlayArea(circle, inside.lat, inside.lon), true);
+  assert.equal(isInPlayArea(circle, outside.lat, outside.lon), false);
+});
+
+test('isInPlayArea checks polygons, concave ones included', () => {
+  // A U shape: the notch between its arms is outside
+  const polygon = {
+    type: 'polygon',
+    points: [
+      { lat: 0, lon: 0 },
+      { lat: 0, lon: 3 },
+      { lat: 3, lon: 3 },
+      { lat: 3, lon: 2 },
+      { lat: 1, lon: 2 },
+      { lat: 1, lon: 1 },
+      { lat: 3, lon: 1 },
+      { lat: 3, lon: 0 },
+    ],
+  };
+  
+  assert.equal(isInPlayArea(polygon, 0.5, 1.5), true);
+  assert.equal(isInPlayArea(polygon, 2, 0.5), true);
+  assert.equal(isInPlayArea(polygon, 2, 1.5), false);
+  assert.equal(isInPlayArea(polygon, 4, 0.5), false);
+});
+
+test('parseCorners reads one lat, lon pair a line', () => {
+  assert.deepEqual(parseCorners('51.5074, -0.1278\n\n  51.51 -0.13  \n-33,151'), [
+    { lat: 51.5074, lon: -0.1278 },
+    { lat: 51.51, lon: -0.13 },
+    { lat: -33, lon: 151 },
+  ]);
+  assert.deepEqual(parseCorners(''), []);
+  assert.equal(parseCorners('51.5074, -0.1278\nsomewhere'), null);
+  assert.equal(parseCorners('91, 0'), null);
+  assert.equal(parseCorners('51.5, -0.1, 3'), null);
+});
+
+test('tile coordinates follow the slippy map scheme', () => {
+  assert.equal(lonToTileX(-180, 0), 0);
+  assert.equal(lonToTileX(0, 1), 1);
+  assertNear(latToTileY(0, 1), 1, 1e-9);
+  // Central London at zoom 16
+  assert.equal(Math.floor(lonToTileX(HOME.lon, 16)), 32744);
+  assert.equal(Math.floor(latToTileY(HOME.lat, 16)), 21792);
+});
+
+test('getAreaBounds covers circles and polygons', () => {
+  const bounds = getAreaBounds({ type: 'circle', center: HOME, radius: 500 });
+  assertNear(calculateDistance(HOME.lat, HOME.lon, bounds.north, HOME.lon), 500, 1);
+  assertNear(calculateDistance(HOME.lat, HOME.lon, HOME.lat, bounds.east), 500, 1);
+  
+  assert.deepEqual(getAreaBounds({
+    type: 'polygon',
+    points: [{ lat: 1, lon: 5 }, { lat: 3, lon: 2 }, { lat: 2, lon: 4 }],
+  }), { south: 1, north: 3, west: 2, east: 5 });
+});
+
+test('getOpponents drops players on our side', () => {
+  const locations = [
+    { playerId: 'a', role: 'hunted' },
+    { playerId: 'b', role: 'hunter' },
+    { playerId: 'c', role: 'hunted' },
+  ];
+  
+  assert.deepEqual(getOpponents(locations, 'hunter').map(player => player.playerId), ['a', 'c']);
+  assert.deepEqual(getOpponents(locations, 'hunted').map(player => player.playerId), ['b']);
+});
+
+test('describeSighting says how fresh a position is', () => {
+  const now = 1000000;
+  
+  assert.equal(describeSighting({ timestamp: now - 125000 }, now), 'Position from 125s ago');
+  assert.equal(describeSighting({ live: true, outOfBounds: true }, now), 'Live position: out of bounds');
+  assert.equal(describeSighting({ live: true }, now), 'Live position');
+  assert.equal(describeSighting({ radar: true }, now), 'Live position: radar');
+  assert.equal(describeSighting({ revealed: true, radar: true }, now), 'Live position: out of bounds!');
+  assert.equal(describeSighting({ disqualified: true, revealed: true }, now), 'Disqualified');
+});
+
+test('describeAge labels delayed and live positions', () => {
+  const now = 1000000;
+  
+  assert.equal(describeAge({ timestamp: now - 45000 }, now), '45s ago');
+  assert.equal(describeAge({ timestamp: now - 125000 }, now), '2:05 ago');
+  assert.equal(describeAge({ timestamp: now - 5000, radar: true }, now), 'Live');
+  assert.equal(describeAge({ timestamp: now - 5000, live: true }, now), 'Live');
+});
+
+test('inferHeading follows the trail, ignoring jitter', () => {
+  // Walking east, 5m between positions
+  const trail = [0, 5, 10, 15].map(distance => offsetPosition(HOME, 90, distance));
+  const player = { ...offsetPosition(HOME, 90, 20), accuracy: 5, trail };
+  assertNear(inferHeading(player), 90, 0.5);
+  
+  // Points within the accuracy are too close to tell
+  assertNear(inferHeading({ ...player, accuracy: 12 }), 90, 0.5);
+  assert.equal(inferHeading({ ...player, accuracy: 25 }), null);
+  
+  // Standing still, or no trail at all
+  assert.equal(inferHeading({ ...HOME, accuracy: 5, trail: [offsetPosition(HOME, 0, 3), HOME] }), null);
+  assert.equal(inferHeading({ ...HOME, accuracy: 5 }), null);
+});
+
+test('getNearestDistance finds the closest player', () => {
+  const players = [offsetPosition(HOME, 0, 300), offsetPosition(HOME, 120, 80), offsetPosition(HOME, 240, 150)];
+  
+  assertNear(getNearestDistance(HOME, players), 80, 0.5);
+  assert.equal(getNearestDistance(HOME, []), null);
+  assert.equal(getNearestDistance(null, players), null);
+});
+
+test('getOutcome reads a result from each player\'s side', () => {
+  const result = {
+    winner: 'hunter',
+    captures: [{ hunterId: 'h1', huntedId: 'd1' }],
+    disqualified: [{ playerId: 'h2', role: 'hunter' }],
+  };
+  
+  assert.equal(getOutcome(result, 'h1', 'hunter'), 'victory');
+  assert.equal(getOutcome(result, 'h2', 'hunter'), 'disqualified');
+  assert.equal(getOutcome(result, 'd1', 'hunted'), 'caught');
+  assert.equal(getOutcome(result, 'd2', 'hunted'), 'defeat');
+  assert.equal(getOutcome(result, 'r1', 'referee'), 'ended');
+  assert.equal(getOutcome({ ...result, winner: null }, 'h1', 'hunter'), 'ended');
+  // Infection mode: caught players end up on the winning side
+  assert.equal(getOutcome(result, 'd1', 'hunter'), 'victory');
+});
+
+test('describePendingCapture speaks to each side', () => {
+  const pending = { hunterId: 'h1', hunterName: 'Wolf', huntedId: 'd1', huntedName: 'Deer', confirmAt: 10000 };
+  
+  assert.equal(describePendingCapture(pending, 'd1', 2500), '⚠️ Wolf is catching you! Get away within 8s');
+  assert.equal(describePendingCapture(pending, 'h1', 2500), '🎯 Catching Deer: stay close for 8s');
+  assert.equal(describePendingCapture(pending, 'r1', 2500), '🎯 Wolf is catching Deer: 8s');
+  // Waiting on the next fix once the time is up
+  assert.equal(describePendingCapture(pending, 'r1', 12000), '🎯 Wolf is catching Deer: 0s');
+});
+
+test('the position filter smooths out GPS jitter', () => {
+  const fixes = simulateFixes(() => HOME, { count: 60 });
+  const updates = runFilter(fixes);
+  
+  // Once it has settled, it's much closer than the raw fixes
+  const settled = fixes.slice(10);
+  const filtered = updates.slice(10).map(({ filter }) => getFilteredPosition(filter));
+  const raw = averageError(settled, settled.map(({ fix }) => fix));
+  assert.ok(averageError(settled, filtered) < raw * 0.6, `filtered ${averageError(settled, filtered)}m, raw ${raw}m`);
+  
+  // And more sure of itself
+  assert.ok(filtered.at(-1).accuracy < 10);
+  assert.ok(updates.every(({ outlier }) => !outlier));
+});
+
+test('the position filter follows a steady walk', () => {
+  // 1.4m/s due east
+  const fixes = simulateFixes(seconds => offsetPosition(HOME, 90, seconds * 1.4), { count: 60, accuracy: 5 });
+  const { filter } = runFilter(fixes).at(-1);
+  const { speed, heading } = getFilteredMotion(filter);
+  
+  assertNear(speed, 1.4, 0.5);
+  assertNear(heading, 90, 25);
+  
+  // Carried forward through a gap, it keeps walking
+  const last = getFilteredPosition(filter);
+  const later = getFilteredPosition(filter, filter.timestamp + 10000);
+  assertNear(calculateDistance(last.lat, last.lon, later.lat, later.lon), 14, 5);
+  assert.ok(later.lon > last.lon);
+  assert.ok(later.accuracy > last.accuracy);
+});
+
+test('the position filter uses reported speed and heading', () => {
+  const fixes = simulateFixes(seconds => offsetPosition(HOME, 0, seconds * 3), { count: 3, accuracy: 5 });
+  const reported = fixes.map(({ truth, fix }) => ({ truth, fix: { ...fix, speed: 3, heading: 0 } }));
+  
+  const { speed, heading } = getFilteredMotion(runFilter(reported).at(-1).filter);
+  assertNear(speed, 3, 0.5);
+  assert.ok(heading < 10 || heading > 350);
+  
+  // Standing still, phones report no heading
+  const still = updatePositionFilter(null, { ...HOME, accuracy: 5, timestamp: 0, speed: 0, heading: NaN });
+  assert.equal(getFilteredMotion(still.filter).speed, 0);
+});
+
+test('the position filter drops jumps, then starts over if they persist', () => {
+  const fixes = simulateFixes(() => HOME, { count: 20, accuracy: 5 });
+  let filter = runFilter(fixes).at(-1).filter;
+  
+  // A fix 200m away, as from a reflection off a building
+  const jump = { ...offsetPosition(HOME, 45, 200), accuracy: 5, timestamp: 20000 };
+  const dropped = updatePositionFilter(filter, jump);
+  assert.equal(dropped.outlier, true);
+  assert.deepEqual(getFilteredPosition(dropped.filter), getFilteredPosition(filter));
+  
+  // A good fix clears the count
+  const back = updatePositionFilter(dropped.filter, { ...HOME, accuracy: 5, timestamp: 21000 });
+  assert.equal(back.outlier, false);
+  filter = back.filter;
+  
+  // If we really did move, the filter gives up on where it was
+  for (const timestamp of [22000, 23000]) {
+    const update = updatePositionFilter(filter, { ...jump, timestamp });
+    assert.equal(update.outlier, true);
+    filter = update.filter;
+  }
+  
+  const restarted = updatePositionFilter(filter, { ...jump, timestamp: 24000 });
+  assert.equal(restarted.outlier, false);
+  const position = getFilteredPosition(restarted.filter);
+  assertNear(calculateDistance(jump.lat, jump.lon, position.lat, position.lon), 0, 0.01);
+});
+
+test('formatTime shows minutes and seconds, rounding down', () => {
+  assert.equal(formatTime(0), '0:00');
+  assert.equal(formatTime(999), '0:00');
+  assert.equal(formatTime(61000), '1:01');
+  assert.equal(formatTime(10 * 60 * 1000), '10:00');
+  assert.equal(formatTime(125 * 60 * 1000), '125:00');
+});
+
+test('formatClock shows local time of day', () => {
+  const timestamp = new Date(2024, 0, 1, 9, 5, 7).getTime();
+  assert.equal(formatClock(timestamp), '09:05:07');
+});
+
+test('formatDuration picks minutes or seconds', () => {
+  assert.equal(formatDuration(60000), '1 minute');
+  assert.equal(formatDuration(10 * 60000), '10 minutes');
+  assert.equal(formatDuration(30000), '30 seconds');
+  assert.equal(formatDuration(90000), '1:30 minutes');
+});
+
+test('formatAge switches to minutes after a minute', () => {
+  assert.equal(formatAge(0), '0s');
+  assert.equal(formatAge(59999), '59s');
+  assert.equal(formatAge(60000), '1:00');
+  assert.equal(formatAge(-500), '0s');
+});
+
+test('formatDistance and formatAccuracy switch to km at 1000m', () => {
+  assert.equal(formatDistance(42.4), '42m');
+  assert.equal(formatDistance(999), '999m');
+  assert.equal(formatDistance(1250), '1.3km');
+  assert.equal(formatAccuracy(7.6), '8m');
+  assert.equal(formatAccuracy(2400), '2.4km');
+});
+
+test('escapeHtml leaves names as text', () => {
+  assert.equal(escapeHtml('<svg/onload=alert()>'), '&#60;svg/onload=alert()&#62;');
+  assert.equal(escapeHtml('Tom & "Jerry" \'J\''), 'Tom &#38; &#34;Jerry&#34; &#39;J&#39;');
+  assert.equal(escapeHtml('Deer'), 'Deer');
+});
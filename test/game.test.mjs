@@ -0,0 +1,289 @@
+// Whole games played through the API on a fake clock: the countdown, the
+// position delay, captures and their confirmation, the timeout and data
+// retention
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOutcome } from '../game-logic.js';
+import { startClock, tick, call, fixAt, setUpLobby } from './helpers.mjs';
+
+const DELAY = 30 * 1000;
+const INTERVAL = 5000;
+
+before(() => startClock());
+
+async function startGame(gameCode, rules) {
+  const players = await setUpLobby(gameCode, { positionDelay: DELAY, updateInterval: INTERVAL, ...rules });
+  const { data } = await call('/startGame', { body: {}, token: players.hunter.token });
+  
+  assert.equal(data.game.status, 'countdown');
+  assert.equal(data.game.startTime, Date.now() + 10000);
+  
+  return { ...players, game: data.game };
+}
+
+// One update interval: both players send where they are, the hunter fetches
+// what it can see. `distances` are each player's metres from HOME.
+async function playInterval({ hunter, hunted }, distances) {
+  tick(INTERVAL);
+  
+  const sent = {
+    hunter: await call('/updateLocation', { body: fixAt(distances.hunter), token: hunter.token }),
+    hunted: await call('/updateLocation', { body: fixAt(distances.hunted), token: hunted.token }),
+  };
+  const seen = await call('/locations', { token: hunter.token });
+  
+  return { sent, seen: seen.data };
+}
+
+test('the game goes active when the countdown ends', async () => {
+  const { hunter, game } = await startGame('COUNT');
+  
+  tick(game.startTime - Date.now() - 1);
+  assert.equal((await call('/game', { token: hunter.token })).data.game.status, 'countdown');
+  
+  tick(1);
+  const { data } = await call('/game', { token: hunter.token });
+  assert.equal(data.game.status, 'active');
+  assert.equal(data.game.endTime, game.startTime + 10 * 60 * 1000);
+});
+
+test('opponents only see positions once they are a delay old', async () => {
+  const players = await startGame('DELAY');
+  tick(10000);
+  
+  // The hunted player walks away a metre a second; the first fix is at 500m
+  let distance = 500;
+  const sentAt = [];
+  
+  for (let elapsed = INTERVAL; elapsed <= DELAY; elapsed += INTERVAL) {
+    const { sent, seen } = await playInterval(players, { hunter: 0, hunted: distance });
+    sentAt.push({ distance, timestamp: Date.now() });
+    distance += INTERVAL / 1000;
+    
+    assert.equal(sent.hunted.data.success, true);
+    assert.deepEqual(seen.locations, [], `nothing visible after ${elapsed}ms`);
+  }
+  
+  // The first fix is now exactly a delay old
+  const { seen } = await playInterval(players, { hunter: 0, hunted: distance });
+  sentAt.push({ distance, timestamp: Date.now() });
+  assert.equal(seen.locations.length, 1);
+  assert.equal(seen.locations[0].playerId, players.hunted.playerId);
+  assert.equal(seen.locations[0].timestamp, sentAt[0].timestamp);
+  
+  // From then on it trails the live position by the delay
+  tick(INTERVAL);
+  const later = await call('/locations', { token: players.hunter.token });
+  assert.equal(later.data.locations[0].timestamp, sentAt[1].timestamp);
+  assert.ok(later.data.locations[0].timestamp <= Date.now() - DELAY);
+  
+  // Players never see their own side
+  const hunted = await call('/locations', { token: players.hunted.token });
+  assert.ok(hunted.data.locations.every(player => player.role === 'hunter'));
+});
+
+test('opponents leave a trail of positions from before the delayed one', async () => {
+  const players = await startGame('TRAIL', { trailLength: 3 });
+  tick(10000);
+  
+  // The hunted player walks away 5m an interval, for a delay and 4 more intervals
+  let distance = 500;
+  let seen;
+  for (let elapsed = INTERVAL; elapsed <= DELAY + 4 * INTERVAL; elapsed += INTERVAL) {
+    ({ seen } = await playInterval(players, { hunter: 0, hunted: distance }));
+    distance += 5;
+  }
+  
+  const [location] = seen.locations;
+  assert.equal(location.trail.length, 3);
+  assert.deepEqual(location.trail.map(point => location.timestamp - point.timestamp),
+    [3 * INTERVAL, 2 * INTERVAL, INTERVAL]);
+  assert.ok(location.trail.every(point => Date.now() - point.timestamp >= DELAY));
+  assert.ok(location.trail[0].lat < location.trail[2].lat, 'oldest point is furthest back');
+  
+  // A rule of 0 turns trails off
+  const untrailed = await startGame('NOTRAIL', { trailLength: 0 });
+  tick(10000);
+  for (let elapsed = INTERVAL; elapsed <= DELAY + INTERVAL; elapsed += INTERVAL) {
+    ({ seen } = await playInterval(untrailed, { hunter: 0, hunted: 500 }));
+  }
+  assert.deepEqual(seen.locations[0].trail, []);
+});
+
+test('a hunter within capture distance ends the game', async () => {
+  const players = await startGame('CATCH', { captureDistance: 20, captureConfirmTime: 0 });
+  tick(10000);
+  
+  // The hunter closes in on a stationary target 200m away
+  const results = [];
+  
+  for (const hunter of [0, 50, 100, 150, 190]) {
+    const { sent } = await playInterval(players, { hunter, hunted: 200 });
+    results.push(sent.hunted.data.result);
+  }
+  
+  // Nobody was caught before they were within range
+  assert.deepEqual(results.slice(0, 4), [null, null, null, null]);
+  
+  const result = results[4];
+  assert.equal(result.reason, 'capture');
+  assert.equal(result.winner, 'hunter');
+  assert.equal(result.captures.length, 1);
+  assert.equal(result.captures[0].huntedId, players.hunted.playerId);
+  assert.equal(result.captures[0].distance, 10);
+  
+  // Each client reads the shared result its own way
+  assert.equal(getOutcome(result, players.hunter.playerId, 'hunter'), 'victory');
+  assert.equal(getOutcome(result, players.hunted.playerId, 'hunted'), 'caught');
+  
+  // Positions after the end don't count
+  tick(INTERVAL);
+  const late = await call('/updateLocation', { body: fixAt(500), token: players.hunted.token });
+  assert.equal(late.data.success, false);
+  assert.equal(late.data.message, 'Game over');
+});
+
+test('stale positions don\'t cause captures', async () => {
+  const players = await startGame('STALE', { captureDistance: 20, captureConfirmTime: 0 });
+  tick(10000);
+  
+  // The hunted player stops sending next to where the hunter will arrive
+  await call('/updateLocation', { body: fixAt(100), token: players.hunted.token });
+  tick(31000);
+  
+  const { data } = await call('/updateLocation', { body: fixAt(95), token: players.hunter.token });
+  assert.equal(data.status, 'active');
+  assert.equal(data.result, null);
+});
+
+test('a capture is confirmed once the hunter has stayed in range', async () => {
+  const players = await startGame('HOLD', { captureDistance: 20, captureConfirmTime: 10000 });
+  tick(10000);
+  
+  const { sent } = await playInterval(players, { hunter: 190, hunted: 200 });
+  assert.equal(sent.hunted.data.result, null);
+  
+  // Both players see the capture counting down
+  const confirmAt = Date.now() + 10000;
+  for (const player of [players.hunter, players.hunted]) {
+    const { data } = await call('/locations', { token: player.token });
+    assert.deepEqual(data.pendingCaptures.map(pending => [pending.huntedId, pending.confirmAt]),
+      [[players.hunted.playerId, confirmAt]]);
+  }
+  
+  const held = await playInterval(players, { hunter: 195, hunted: 201 });
+  assert.equal(held.sent.hunted.data.result, null);
+  
+  const confirmed = await playInterval(players, { hunter: 190, hunted: 200 });
+  assert.equal(confirmed.sent.hunted.data.result.reason, 'capture');
+  assert.equal(confirmed.seen.result.captures[0].timestamp, confirmAt);
+});
+
+test('hunted players escape by getting out of range in time', async () => {
+  const players = await startGame('ESCAPE', { captureDistance: 20, captureConfirmTime: 10000 });
+  tick(10000);
+  
+  await playInterval(players, { hunter: 190, hunted: 200 });
+  
+  // 40m apart, give or take 7m of GPS error, is clearly out of range
+  const escaped = await playInterval(players, { hunter: 190, hunted: 230 });
+  assert.equal(escaped.seen.status, 'active');
+  assert.deepEqual(escaped.seen.pendingCaptures, []);
+  
+  // Coming back in range starts the countdown over
+  const caughtUp = await playInterval(players, { hunter: 225, hunted: 230 });
+  assert.equal(caughtUp.seen.pendingCaptures[0].confirmAt, Date.now() + 10000);
+  
+  const held = await playInterval(players, { hunter: 226, hunted: 230 });
+  assert.equal(held.seen.status, 'active');
+});
+
+test('captures allow for GPS accuracy', async () => {
+  const players = await startGame('FUZZY', { captureDistance: 20, captureConfirmTime: 5000 });
+  tick(10000);
+  
+  // 15m apart: in range with good fixes, unsure with 20m ones
+  const send = async (hunter, hunted, accuracy) => {
+    tick(INTERVAL);
+    await call('/updateLocation', { body: fixAt(hunter, accuracy), token: players.hunter.token });
+    await call('/updateLocation', { body: fixAt(hunted, accuracy), token: players.hunted.token });
+    return (await call('/locations', { token: players.hunter.token })).data;
+  };
+  
+  assert.deepEqual((await send(185, 200, 20)).pendingCaptures, []);
+  
+  // Good fixes start a capture; a poor one neither completes nor cancels it
+  assert.equal((await send(185, 200, 3)).pendingCaptures.length, 1);
+  
+  const unsure = await send(185, 200, 20);
+  assert.equal(unsure.status, 'active');
+  assert.equal(unsure.pendingCaptures.length, 1);
+  
+  assert.equal((await send(185, 200, 3)).result.reason, 'capture');
+});
+
+test('poor accuracy still allows a capture at close quarters', async () => {
+  const players = await startGame('CLOSE', { captureDistance: 25, captureConfirmTime: 0 });
+  tick(10000);
+  
+  // 18m fixes put the margin past the capture distance; it's capped at half
+  tick(INTERVAL);
+  await call('/updateLocation', { body: fixAt(200, 18), token: players.hunted.token });
+  const { data } = await call('/updateLocation', { body: fixAt(190, 18), token: players.hunter.token });
+  assert.equal(data.result.reason, 'capture');
+});
+
+test('hunted players who aren\'t caught win on timeout', async () => {
+  const players = await startGame('TIMEOUT', { gameDuration: 60 * 1000 });
+  tick(10000);
+  
+  let status = 'active';
+  let result = null;
+  let intervals = 0;
+  
+  while (status === 'active') {
+    const { seen } = await playInterval(players, { hunter: 0, hunted: 300 + intervals });
+    ({ status, result } = seen);
+    intervals++;
+  }
+  
+  assert.equal(intervals, 12);
+  assert.equal(status, 'ended');
+  assert.equal(result.reason, 'timeout');
+  assert.equal(result.winner, 'hunted');
+  assert.deepEqual(result.survivors, [{ playerId: players.hunted.playerId, playerName: 'Deer' }]);
+  assert.equal(getOutcome(result, players.hunted.playerId, 'hunted'), 'victory');
+  assert.equal(getOutcome(result, players.hunter.playerId, 'hunter'), 'defeat');
+});
+
+test('players are forgotten 15 minutes after they were last seen', async () => {
+  const { hunter, hunted } = await setUpLobby('RETAIN');
+  
+  // Only the host keeps polling
+  for (let i = 0; i < 4; i++) {
+    tick(5 * 60 * 1000);
+    assert.equal((await call('/game', { token: hunter.token })).status, 200);
+  }
+  
+  const { data } = await call('/game', { token: hunter.token });
+  assert.deepEqual(data.game.players.map(player => player.playerId), [hunter.playerId]);
+  
+  const gone = await call('/game', { token: hunted.token });
+  assert.equal(gone.status, 403);
+  assert.equal(gone.data.error, 'Player not in game');
+});
+
+test('games are deleted once nobody is left', async () => {
+  const { hunter } = await setUpLobby('EMPTY');
+  const before = (await call('/health')).data.activeGames;
+  
+  tick(15 * 60 * 1000 + 1);
+  
+  // Retention runs on the next game request, whoever sends it
+  const joined = await call('/joinGame', { body: { gameCode: 'EMPTY', playerName: 'Late', role: 'hunted' } });
+  assert.equal(joined.status, 404);
+  
+  assert.equal((await call('/game', { token: hunter.token })).status, 404);
+  assert.ok((await call('/health')).data.activeGames < before);
+});
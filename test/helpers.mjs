@@ -0,0 +1,177 @@
+// Shared setup for the worker tests: loads worker.js the way Cloudflare
+// does and calls it with plain Requests, on a fake clock.
+
+import { mock } from 'node:test';
+import { offsetPosition } from '../game-logic.js';
+
+// worker.js also registers a service-worker style fetch listener
+globalThis.addEventListener ??= () => {};
+
+const { default: worker, GameObject } = await import('../worker.js');
+
+export { worker, GameObject };
+export const ENV = { TOKEN_SECRET: 'test-secret' };
+
+export const ORIGIN = 'https://philoutram.github.io';
+export const HOME = { lat: 51.5074, lon: -0.1278 };
+
+let nextIp = 1;
+
+// Date.now() only moves when a test ticks it. Each test file runs in its
+// own process, so the worker's in-memory games and rate limits start empty.
+// Pass 'setTimeout' in `apis` for tests that need the worker's timers to
+// fire as the clock ticks.
+export function startClock(now = Date.UTC(2024, 5, 1, 12), apis = ['Date']) {
+  mock.timers.enable({ apis, now });
+}
+
+export function tick(ms) {
+  mock.timers.tick(ms);
+}
+
+// Calls the worker. Each call comes from a new IP unless one is given,
+// so only the rate limit tests hit the rate limit.
+export async function call(path, { method, body, token, ip, origin = ORIGIN } = {}) {
+  const headers = {
+    'CF-Connecting-IP': ip || `10.0.${nextIp >> 8}.${nextIp++ & 255}`,
+    Origin: origin,
+  };
+  
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  
+  const response = await worker.fetch(new Request(`https://api.test${path}`, {
+    method: method || (body === undefined ? 'GET' : 'POST'),
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }), ENV);
+  
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: response.status === 204 ? null : await response.json(),
+  };
+}
+
+// A fix `distance` metres from HOME along `bearing` (north-east unless
+// given), measured now
+export function fixAt(distance, accuracy = 5, bearing = 45) {
+  return { ...offsetPosition(HOME, bearing, distance), accuracy, timestamp: Date.now() };
+}
+
+// A hunter hosting `gameCode` and a hunted player, both ready, in the lobby.
+// Returns each player's { playerId, token }.
+export async function setUpLobby(gameCode, rules = {}) {
+  const created = await call('/createGame', {
+    body: { gameCode, playerName: 'Hunter', role: 'hunter', rules },
+  });
+  const joined = await call('/joinGame', {
+    body: { gameCode, playerName: 'Deer', role: 'hunted' },
+  });
+  
+  const hunter = { playerId: created.data.playerId, token: created.data.token };
+  const hunted = { playerId: joined.data.playerId, token: joined.data.token };
+  
+  for (const player of [hunter, hunted]) {
+    await call('/ready', { body: { ready: true }, token: player.token });
+  }
+  
+  return { hunter, hunted };
+}
+
+// Another player joining `gameCode`, ready unless they're a referee.
+// Returns their { playerId, token }.
+export async function join(gameCode, playerName, role) {
+  const { data } = await call('/joinGame', { body: { gameCode, playerName, role } });
+  
+  if (role !== 'referee') {
+    await call('/ready', { body: { ready: true }, token: data.token });
+  }
+  
+  return { playerId: data.playerId, token: data.token };
+}
+
+// Start the game as its host and wait out the countdown. Returns the game.
+export async function start(host) {
+  const { data } = await call('/startGame', { body: {}, token: host.token });
+  tick(data.game.startTime - Date.now());
+  return data.game;
+}
+
+// WebSockets, as far as the worker uses them. Each end records what it was
+// sent (parsed, if it's JSON) and how it was closed; sending delivers to the
+// other end's listeners.
+class FakeSocket {
+  constructor() {
+    this.listeners = { message: [], close: [], error: [] };
+    this.received = [];
+    this.closed = null;
+  }
+  
+  accept() {}
+  
+  addEventListener(type, listener) {
+    this.listeners[type].push(listener);
+  }
+  
+  send(data) {
+    if (this.closed) throw new Error('Socket is closed');
+    try {
+      this.peer.received.push(JSON.parse(data));
+    } catch (error) {
+      this.peer.received.push(data);
+    }
+    this.peer.listeners.message.forEach(listener => listener({ data }));
+  }
+  
+  close(code, reason) {
+    this.closed = this.peer.closed = { code, reason };
+    this.peer.listeners.close.forEach(listener => listener({ code, reason }));
+  }
+}
+
+globalThis.WebSocketPair = function WebSocketPair() {
+  const [client, server] = [new FakeSocket(), new FakeSocket()];
+  client.peer = server;
+  server.peer = client;
+  this[0] = client;
+  this[1] = server;
+};
+
+// Node's Response refuses the 101 Cloudflare answers an upgrade with
+const NodeResponse = globalThis.Response;
+globalThis.Response = class extends NodeResponse {
+  constructor(body, init = {}) {
+    super(body, init.status === 101 ? { ...init, status: 200 } : init);
+    
+    if (init.status === 101) {
+      Object.defineProperty(this, 'status', { value: 101 });
+      this.webSocket = init.webSocket;
+    }
+  }
+};
+
+// Opens a socket as the player with `token`. Returns the client end, or
+// the response if the upgrade was refused.
+export async function connect(token) {
+  const response = await worker.fetch(new Request('https://api.test/connect', {
+    headers: {
+      'CF-Connecting-IP': `10.1.${nextIp >> 8}.${nextIp++ & 255}`,
+      Origin: ORIGIN,
+      Upgrade: 'websocket',
+      Authorization: `Bearer ${token}`,
+    },
+  }), ENV);
+  
+  return response.status === 101 ? response.webSocket : response;
+}
+
+// Lets socket handlers, which the worker doesn't await, run to the end
+export function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
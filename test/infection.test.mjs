@@ -0,0 +1,72 @@
+// Infection mode: caught players join the hunters, who win once nobody is
+// left to hunt
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+// A hunter, Deer and Fawn, with Fawn far from everyone
+async function startInfection(gameCode, rules = {}) {
+  const { hunter, hunted } = await setUpLobby(gameCode, { mode: 'infection', captureConfirmTime: 0, ...rules });
+  const fawn = await join(gameCode, 'Fawn', 'hunted');
+  await start(hunter);
+  
+  await call('/updateLocation', { body: fixAt(3000), token: fawn.token });
+  return { hunter, deer: hunted, fawn };
+}
+
+function moveTo(player, distance) {
+  return call('/updateLocation', { body: fixAt(distance), token: player.token });
+}
+
+test('a caught player becomes a hunter and the game goes on', async () => {
+  const { hunter, deer, fawn } = await startInfection('INFECT');
+  
+  await moveTo(deer, 1000);
+  const { data } = await moveTo(hunter, 1010);
+  assert.equal(data.status, 'active');
+  
+  const { data: seen } = await call('/locations', { token: deer.token });
+  assert.equal(seen.role, 'hunter');
+  assert.deepEqual(seen.teammates.map(mate => mate.playerId), [hunter.playerId]);
+  
+  // Fawn has lost a teammate, and hears why
+  const { data: fawnView } = await call('/locations', { token: fawn.token });
+  assert.deepEqual(fawnView.teammates, []);
+  assert.deepEqual(fawnView.events.map(event => event.text), ['Hunter infected Deer']);
+});
+
+test('the infected hunt too, and infecting the last hunted player wins', async () => {
+  const { hunter, deer, fawn } = await startInfection('SPREAD');
+  
+  await moveTo(deer, 1000);
+  await moveTo(hunter, 1010);
+  
+  tick(5000);
+  await moveTo(fawn, 1500);
+  const { data } = await moveTo(deer, 1510);
+  
+  assert.equal(data.status, 'ended');
+  assert.equal(data.result.reason, 'infection');
+  assert.equal(data.result.winner, 'hunter');
+  assert.deepEqual(
+    data.result.captures.map(capture => [capture.hunterName, capture.huntedName, capture.converted]),
+    [['Hunter', 'Deer', true], ['Deer', 'Fawn', true]]
+  );
+  assert.deepEqual(data.result.survivors, []);
+});
+
+test('anyone still uninfected at the end wins for the hunted', async () => {
+  const { hunter, deer } = await startInfection('SURVIVE', { gameDuration: 5 * 60 * 1000 });
+  
+  await moveTo(deer, 1000);
+  await moveTo(hunter, 1010);
+  
+  tick(5 * 60 * 1000);
+  const { data } = await call('/game', { token: hunter.token });
+  assert.equal(data.game.result.reason, 'timeout');
+  assert.equal(data.game.result.winner, 'hunted');
+  assert.deepEqual(data.game.result.survivors.map(player => player.playerName), ['Fawn']);
+});
@@ -0,0 +1,124 @@
+// Profiles, the matches finished games add to them, and leaderboards
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { worker, startClock, tick, call, fixAt, start, ORIGIN } from './helpers.mjs';
+
+before(() => startClock());
+
+async function createProfile(playerName) {
+  const { data } = await call('/profile', { body: { playerName } });
+  return data.profileToken;
+}
+
+async function getProfile(profileToken) {
+  const { data } = await call('/profile', { token: profileToken });
+  return data.profile;
+}
+
+// A game between two profiled players, ready to start
+async function setUpProfiledLobby(gameCode, hunterProfile, huntedProfile) {
+  const created = await call('/createGame', {
+    body: { gameCode, playerName: 'Hunter', role: 'hunter', profileToken: hunterProfile, rules: { captureConfirmTime: 0 } },
+  });
+  const joined = await call('/joinGame', {
+    body: { gameCode, playerName: 'Deer', role: 'hunted', profileToken: huntedProfile },
+  });
+  
+  const hunter = { playerId: created.data.playerId, token: created.data.token };
+  const hunted = { playerId: joined.data.playerId, token: joined.data.token };
+  
+  for (const player of [hunter, hunted]) {
+    await call('/ready', { body: { ready: true }, token: player.token });
+  }
+  
+  return { hunter, hunted };
+}
+
+test('a new profile starts with no games', async () => {
+  const profile = await getProfile(await createProfile('Alice'));
+  
+  assert.equal(profile.playerName, 'Alice');
+  assert.equal(profile.stats.games, 0);
+  assert.deepEqual(profile.matches, []);
+  
+  const { status } = await call('/profile', { token: 'not-a-token' });
+  assert.equal(status, 401);
+});
+
+test('a finished game adds a match to each player\'s profile', async () => {
+  const hunterProfile = await createProfile('Hunter');
+  const huntedProfile = await createProfile('Deer');
+  const { hunter, hunted } = await setUpProfiledLobby('MATCH', hunterProfile, huntedProfile);
+  await start(hunter);
+  
+  tick(60000);
+  await call('/updateLocation', { body: fixAt(0), token: hunted.token });
+  const { data } = await call('/updateLocation', { body: fixAt(10), token: hunter.token });
+  assert.equal(data.status, 'ended');
+  
+  const won = await getProfile(hunterProfile);
+  assert.equal(won.stats.wins, 1);
+  assert.equal(won.stats.captures, 1);
+  assert.equal(won.matches[0].gameCode, 'MATCH');
+  assert.equal(won.matches[0].result, 'win');
+  
+  const lost = await getProfile(huntedProfile);
+  assert.equal(lost.stats.losses, 1);
+  assert.equal(lost.stats.timesCaught, 1);
+  assert.equal(lost.stats.longestSurvival, 60000);
+  
+  // Saves after the end don't count the game again
+  await call('/game', { token: hunter.token });
+  assert.equal((await getProfile(hunterProfile)).stats.games, 1);
+});
+
+test('games ended before play began, and referees, aren\'t recorded', async () => {
+  const hunterProfile = await createProfile('Early');
+  const refereeProfile = await createProfile('Judge');
+  const { hunter } = await setUpProfiledLobby('EARLY', hunterProfile);
+  const { data: referee } = await call('/joinGame', {
+    body: { gameCode: 'EARLY', playerName: 'Judge', role: 'referee', profileToken: refereeProfile },
+  });
+  
+  await call('/startGame', { body: {}, token: hunter.token });
+  await call('/endGame', { body: {}, token: referee.token });
+  
+  assert.equal((await getProfile(hunterProfile)).stats.games, 0);
+  assert.equal((await getProfile(refereeProfile)).stats.games, 0);
+});
+
+test('the leaderboard ranks profiles that have played', async () => {
+  const fastProfile = await createProfile('Fast');
+  const slowProfile = await createProfile('Slow');
+  
+  for (const gameCode of ['RANK1', 'RANK2']) {
+    const { hunter, hunted } = await setUpProfiledLobby(gameCode, fastProfile, slowProfile);
+    await start(hunter);
+    
+    tick(60000);
+    await call('/updateLocation', { body: fixAt(0), token: hunted.token });
+    await call('/updateLocation', { body: fixAt(10), token: hunter.token });
+  }
+  
+  const { data } = await call('/leaderboard?sort=captures');
+  assert.equal(data.sort, 'captures');
+  // Profiles take the name last played under
+  assert.equal(data.leaderboard[0].profileId, (await getProfile(fastProfile)).profileId);
+  assert.equal(data.leaderboard[0].playerName, 'Hunter');
+  assert.equal(data.leaderboard[0].rank, 1);
+  assert.equal(data.leaderboard[0].stats.captures, 2);
+  assert.ok(data.leaderboard.every(entry => entry.stats.games > 0));
+  
+  const { status } = await call('/leaderboard?sort=luck');
+  assert.equal(status, 400);
+});
+
+test('Durable Object bindings without TOKEN_SECRET are refused', async () => {
+  const response = await worker.fetch(new Request('https://api.test/health', {
+    headers: { Origin: ORIGIN },
+  }), { GAMES: {}, PROFILES: {} });
+  
+  assert.equal(response.status, 500);
+  assert.equal((await response.json()).error, 'Server misconfigured: TOKEN_SECRET is not set');
+});
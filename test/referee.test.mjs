@@ -0,0 +1,129 @@
+// Referee controls, and games that end because a side has nobody left
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start, connect, settle } from './helpers.mjs';
+
+before(() => startClock());
+
+async function startRefereedGame(gameCode, rules = {}) {
+  const players = await setUpLobby(gameCode, rules);
+  const referee = await join(gameCode, 'Ref', 'referee');
+  await start(players.hunter);
+  return { ...players, referee };
+}
+
+function act(referee, action, body = {}) {
+  return call(`/${action}`, { body, token: referee.token });
+}
+
+test('only a referee can use referee controls', async () => {
+  const { hunter, hunted } = await startRefereedGame('ONLYREF');
+  
+  for (const action of ['pauseGame', 'kickPlayer', 'setRole', 'endGame']) {
+    const { status, data } = await act(hunter, action, { playerId: hunted.playerId, role: 'hunter' });
+    assert.equal(status, 403);
+    assert.equal(data.error, 'Only a referee can do that');
+  }
+});
+
+test('pausing stops the game clock', async () => {
+  const { hunted, referee } = await startRefereedGame('PAUSE');
+  const { data: before } = await call('/game', { token: hunted.token });
+  
+  assert.equal((await act(referee, 'pauseGame')).data.game.status, 'paused');
+  assert.equal((await act(referee, 'pauseGame')).status, 409);
+  
+  tick(10 * 60 * 1000);
+  const { data } = await act(referee, 'resumeGame');
+  
+  assert.equal(data.game.status, 'active');
+  assert.equal(data.game.endTime, before.game.endTime + 10 * 60 * 1000);
+});
+
+test('the referee can end the game with or without a winner', async () => {
+  const { referee } = await startRefereedGame('REFEND');
+  
+  const invalid = await act(referee, 'endGame', { winner: 'nobody' });
+  assert.equal(invalid.status, 409);
+  
+  const { data } = await act(referee, 'endGame', { winner: null });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.reason, 'referee');
+  assert.equal(data.game.result.winner, null);
+  
+  assert.equal((await act(referee, 'endGame')).data.error, 'Game is not running');
+});
+
+test('a removed player is told why their session stopped working', async () => {
+  const { hunter } = await setUpLobby('KICKED');
+  const referee = await join('KICKED', 'Ref', 'referee');
+  
+  const { data } = await act(referee, 'kickPlayer', { playerId: hunter.playerId });
+  assert.equal(data.game.players.length, 2);
+  assert.equal(data.game.status, 'lobby');
+  assert.notEqual(data.game.hostId, hunter.playerId);
+  
+  const { status, data: refused } = await call('/game', { token: hunter.token });
+  assert.equal(status, 403);
+  assert.equal(refused.error, 'Removed by the referee');
+});
+
+test('removing the last hunted player ends the game', async () => {
+  const { hunted, referee } = await startRefereedGame('LASTOUT');
+  
+  const { data } = await act(referee, 'kickPlayer', { playerId: hunted.playerId });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.reason, 'forfeit');
+  assert.equal(data.game.result.winner, 'hunter');
+});
+
+test('the game goes on while both sides have someone in play', async () => {
+  const { hunter, hunted } = await setUpLobby('GOESON');
+  const fawn = await join('GOESON', 'Fawn', 'hunted');
+  const referee = await join('GOESON', 'Ref', 'referee');
+  await start(hunter);
+  
+  const kicked = await act(referee, 'kickPlayer', { playerId: hunted.playerId });
+  assert.equal(kicked.data.game.status, 'active');
+  
+  // Making the last hunted player a hunter leaves nobody to chase
+  const { data } = await act(referee, 'setRole', { playerId: fawn.playerId, role: 'hunter' });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.reason, 'forfeit');
+  assert.equal(data.game.result.winner, 'hunter');
+});
+
+test('making every hunter hunted hands the win to the hunted', async () => {
+  const { hunter, referee } = await startRefereedGame('NOHUNTER');
+  
+  const { data } = await act(referee, 'setRole', { playerId: hunter.playerId, role: 'hunted' });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.winner, 'hunted');
+});
+
+test('the last hunter leaving ends the game', async () => {
+  const { hunter, hunted } = await startRefereedGame('WALKOUT');
+  
+  assert.equal((await call('/leaveGame', { body: {}, token: hunter.token })).status, 200);
+  
+  const { data } = await call('/game', { token: hunted.token });
+  assert.equal(data.game.status, 'ended');
+  assert.equal(data.game.result.reason, 'forfeit');
+  assert.equal(data.game.result.winner, 'hunted');
+});
+
+test('a socket to a game that no longer exists is closed', async () => {
+  const { hunted } = await setUpLobby('GONE');
+  const socket = await connect(hunted.token);
+  
+  // Everyone goes quiet until retention removes the game
+  tick(15 * 60 * 1000 + 1);
+  await call('/game', { token: (await setUpLobby('OTHER')).hunter.token });
+  
+  socket.send(JSON.stringify({ type: 'location', ...fixAt(0) }));
+  await settle();
+  
+  assert.deepEqual(socket.received.at(-1), { type: 'error', error: 'Game not found' });
+  assert.deepEqual(socket.closed, { code: 4003, reason: 'Game not found' });
+});
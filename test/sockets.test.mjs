@@ -0,0 +1,97 @@
+// The real-time channel: connecting, sending fixes over the socket, and
+// pushes that come from the clock rather than from anyone sending anything
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { worker, ENV, ORIGIN, startClock, tick, call, fixAt, setUpLobby, join, start, connect, settle } from './helpers.mjs';
+
+const DELAY = 30 * 1000;
+
+before(() => startClock(undefined, ['Date', 'setTimeout']));
+
+// The last message of `type` the socket was sent
+function lastOf(socket, type) {
+  return socket.received.filter(message => message.type === type).at(-1);
+}
+
+// Move the clock on, letting the worker's timers and what they start finish
+async function wait(ms) {
+  tick(ms);
+  await settle();
+}
+
+test('connecting takes a WebSocket upgrade and a session', async () => {
+  const { hunted } = await setUpLobby('UPGRADE');
+  
+  const plain = await worker.fetch(new Request('https://api.test/connect', {
+    headers: { Origin: ORIGIN, Authorization: `Bearer ${hunted.token}` },
+  }), ENV);
+  assert.equal(plain.status, 426);
+  
+  const anonymous = await connect('not-a-token');
+  assert.equal(anonymous.status, 401);
+  
+  const socket = await connect(hunted.token);
+  assert.equal(lastOf(socket, 'game').game.gameCode, 'UPGRADE');
+  assert.deepEqual(lastOf(socket, 'locations').locations, []);
+  assert.deepEqual(lastOf(socket, 'team'), { type: 'team', teammates: [], messages: [], serverTime: Date.now() });
+});
+
+test('fixes sent over the socket are recorded like posted ones', async () => {
+  const { hunter, hunted } = await setUpLobby('SOCKETFIX');
+  const referee = await join('SOCKETFIX', 'Ref', 'referee');
+  await start(hunter);
+  const socket = await connect(hunted.token);
+  const watching = await connect(referee.token);
+  
+  const fix = fixAt(1000);
+  socket.send(JSON.stringify({ type: 'location', ...fix }));
+  await settle();
+  
+  const [seen] = lastOf(watching, 'locations').locations;
+  assert.equal(seen.playerId, hunted.playerId);
+  assert.equal(seen.timestamp, Date.now());
+  
+  // Once saved, the fix is acknowledged so the client can let it go
+  assert.deepEqual(lastOf(socket, 'ack'), { type: 'ack', timestamp: fix.timestamp, serverTime: Date.now() });
+  
+  socket.send('not json');
+  socket.send(JSON.stringify({ type: 'location', lat: 91, lon: 0, accuracy: 5, timestamp: Date.now() }));
+  await settle();
+  assert.deepEqual(socket.received.slice(-2).map(message => message.error), ['Invalid message', 'Invalid latitude']);
+});
+
+test('a socket that only listens hears the countdown end and the game time out', async () => {
+  const { hunter } = await setUpLobby('LISTEN', { gameDuration: 5 * 60 * 1000 });
+  const referee = await join('LISTEN', 'Ref', 'referee');
+  const socket = await connect(referee.token);
+  
+  const { data } = await call('/startGame', { body: {}, token: hunter.token });
+  assert.equal(lastOf(socket, 'game').game.status, 'countdown');
+  
+  await wait(data.game.startTime - Date.now());
+  assert.equal(lastOf(socket, 'game').game.status, 'active');
+  
+  await wait(data.game.endTime - Date.now());
+  const { game } = lastOf(socket, 'game');
+  assert.equal(game.status, 'ended');
+  assert.equal(game.result.reason, 'timeout');
+});
+
+test('a hunter who only listens sees positions as they come out of the delay', async () => {
+  const { hunter, hunted } = await setUpLobby('REVEAL', { positionDelay: DELAY });
+  await start(hunter);
+  const socket = await connect(hunter.token);
+  
+  await call('/updateLocation', { body: fixAt(1000), token: hunted.token });
+  const sentAt = Date.now();
+  assert.deepEqual(lastOf(socket, 'locations').locations, []);
+  
+  await wait(DELAY - 1);
+  assert.deepEqual(lastOf(socket, 'locations').locations, []);
+  
+  await wait(1);
+  const [seen] = lastOf(socket, 'locations').locations;
+  assert.equal(seen.playerId, hunted.playerId);
+  assert.equal(seen.timestamp, sentAt);
+});
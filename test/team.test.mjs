@@ -0,0 +1,87 @@
+// Teammates: live positions within a side, and team messages
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+// Two hunted players and a hunter, all with positions
+async function startTeamGame(gameCode) {
+  const { hunter, hunted } = await setUpLobby(gameCode);
+  const fawn = await join(gameCode, 'Fawn', 'hunted');
+  await start(hunter);
+  
+  await call('/updateLocation', { body: fixAt(0), token: hunter.token });
+  await call('/updateLocation', { body: fixAt(1000), token: hunted.token });
+  await call('/updateLocation', { body: fixAt(1200), token: fawn.token });
+  
+  return { hunter, hunted, fawn };
+}
+
+function message(player, text) {
+  return call('/message', { body: { text }, token: player.token });
+}
+
+async function view(player) {
+  return (await call('/locations', { token: player.token })).data;
+}
+
+test('teammates see each other live, and only each other', async () => {
+  const { hunter, hunted, fawn } = await startTeamGame('MATES');
+  
+  const { teammates } = await view(hunted);
+  assert.deepEqual(teammates.map(mate => mate.playerId), [fawn.playerId]);
+  assert.equal(teammates[0].timestamp, Date.now());
+  
+  assert.deepEqual((await view(hunter)).teammates, []);
+});
+
+test('there are no teammates to see before the game starts', async () => {
+  const { hunted } = await setUpLobby('LOBBYMATES');
+  await join('LOBBYMATES', 'Fawn', 'hunted');
+  
+  assert.deepEqual((await view(hunted)).teammates, []);
+});
+
+test('messages go to the sender\'s team only', async () => {
+  const { hunter, hunted, fawn } = await startTeamGame('CHAT');
+  
+  const sent = await message(hunted, '  Meet at the bridge  ');
+  assert.equal(sent.status, 200);
+  assert.equal(sent.data.messages[0].text, 'Meet at the bridge');
+  
+  tick(1000);
+  await message(hunter, 'Going north');
+  
+  const { messages } = await view(fawn);
+  assert.deepEqual(messages.map(m => [m.playerName, m.text]), [['Deer', 'Meet at the bridge']]);
+  assert.deepEqual((await view(hunter)).messages.map(m => m.text), ['Going north']);
+});
+
+test('messages must be 1 to 100 characters, while the game is on', async () => {
+  const { hunter, hunted } = await startTeamGame('LIMITS');
+  
+  for (const text of ['', '   ', 'x'.repeat(101), 42]) {
+    const { status, data } = await message(hunted, text);
+    assert.equal(status, 400);
+    assert.equal(data.error, 'Message must be 1 to 100 characters');
+  }
+  assert.equal((await message(hunted, 'x'.repeat(100))).status, 200);
+  
+  // The only hunter leaving ends the game
+  await call('/leaveGame', { body: {}, token: hunter.token });
+  assert.equal((await message(hunted, 'Too late')).status, 409);
+});
+
+test('a game keeps its last 100 messages', async () => {
+  const { hunted } = await startTeamGame('HISTORY');
+  
+  for (let i = 1; i <= 105; i++) {
+    await message(hunted, `Message ${i}`);
+  }
+  
+  const { messages } = await view(hunted);
+  assert.equal(messages.length, 100);
+  assert.equal(messages[0].text, 'Message 6');
+});
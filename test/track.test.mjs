@@ -0,0 +1,69 @@
+// Track export: every player's track once the game is over, players who
+// left during it included
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startClock, tick, call, fixAt, setUpLobby, join, start } from './helpers.mjs';
+
+before(() => startClock());
+
+// Everyone sends a fix `count` times, an interval apart
+async function walk(players, count) {
+  for (let i = 0; i < count; i++) {
+    tick(5000);
+    for (const [index, player] of players.entries()) {
+      await call('/updateLocation', { body: fixAt(1000 * (index + 1) + i), token: player.token });
+    }
+  }
+}
+
+function tracksIn(geojson) {
+  return geojson.features
+    .filter(feature => feature.geometry.type === 'LineString')
+    .map(feature => [feature.properties.playerName, feature.geometry.coordinates.length]);
+}
+
+test('tracks are only available once the game has ended', async () => {
+  const { hunter, hunted } = await setUpLobby('EARLY');
+  await start(hunter);
+  await walk([hunter, hunted], 3);
+  
+  const { status, data } = await call('/track?format=geojson', { token: hunter.token });
+  assert.equal(status, 409);
+  assert.equal(data.error, 'Tracks are available once the game has ended');
+});
+
+test('players who leave or are removed keep their tracks', async () => {
+  const { hunter, hunted } = await setUpLobby('DEPARTED');
+  const fawn = await join('DEPARTED', 'Fawn', 'hunted');
+  const doe = await join('DEPARTED', 'Doe', 'hunted');
+  const referee = await join('DEPARTED', 'Ref', 'referee');
+  await start(hunter);
+  
+  await walk([hunter, hunted, fawn, doe], 3);
+  await call('/leaveGame', { body: {}, token: fawn.token });
+  await call('/kickPlayer', { body: { playerId: doe.playerId }, token: referee.token });
+  await walk([hunter, hunted], 2);
+  await call('/endGame', { body: { winner: null }, token: referee.token });
+  
+  const { data } = await call('/track?format=geojson', { token: hunter.token });
+  assert.deepEqual(tracksIn(data), [['Hunter', 5], ['Deer', 5], ['Fawn', 3], ['Doe', 3]]);
+});
+
+test('tracks are dropped 15 minutes after the game ends', async () => {
+  const { hunter, hunted } = await setUpLobby('EXPIRED');
+  const referee = await join('EXPIRED', 'Ref', 'referee');
+  await start(hunter);
+  await walk([hunter, hunted], 3);
+  await call('/endGame', { body: { winner: null }, token: referee.token });
+  
+  // Players who stay can still export just before the window closes
+  tick(15 * 60 * 1000 - 1000);
+  const { data } = await call('/track?format=geojson', { token: hunter.token });
+  assert.deepEqual(tracksIn(data), [['Hunter', 3], ['Deer', 3]]);
+  
+  tick(1001);
+  const expired = await call('/track?format=geojson', { token: hunter.token });
+  assert.equal(expired.status, 410);
+  assert.equal(expired.data.error, 'Tracks are only kept for 15 minutes after the game');
+});
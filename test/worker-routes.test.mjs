@@ -0,0 +1,182 @@
+// The worker's HTTP surface: CORS, routing, rate limiting, sessions and
+// request validation
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { ORIGIN, startClock, tick, call, fixAt, setUpLobby } from './helpers.mjs';
+
+before(() => startClock());
+
+test('health check reports in-memory storage', async () => {
+  const { status, data } = await call('/health');
+  
+  assert.equal(status, 200);
+  assert.equal(data.status, 'ok');
+  assert.equal(data.storage, 'memory');
+  assert.equal(typeof data.activeGames, 'number');
+});
+
+test('CORS preflight echoes an allowed origin', async () => {
+  const { status, headers } = await call('/createGame', { method: 'OPTIONS' });
+  
+  assert.equal(status, 204);
+  assert.equal(headers.get('Access-Control-Allow-Origin'), ORIGIN);
+  assert.equal(headers.get('Access-Control-Allow-Methods'), 'GET, POST, OPTIONS');
+  assert.equal(headers.get('Access-Control-Allow-Headers'), 'Content-Type, Authorization');
+});
+
+test('CORS preflight doesn\'t echo other origins', async () => {
+  const { status, headers } = await call('/createGame', { method: 'OPTIONS', origin: 'https://evil.example' });
+  
+  assert.equal(status, 204);
+  assert.equal(headers.get('Access-Control-Allow-Origin'), ORIGIN);
+});
+
+test('unknown routes get a 404 with CORS headers', async () => {
+  for (const [method, path] of [['GET', '/nope'], ['GET', '/createGame'], ['POST', '/locations']]) {
+    const { status, headers, data } = await call(path, { method });
+    
+    assert.equal(status, 404, `${method} ${path}`);
+    assert.deepEqual(data, { error: 'Endpoint not found' });
+    assert.equal(headers.get('Access-Control-Allow-Origin'), ORIGIN);
+  }
+});
+
+test('each IP gets 60 requests a minute', async () => {
+  const ip = '192.0.2.1';
+  
+  for (let i = 0; i < 60; i++) {
+    assert.equal((await call('/health', { ip })).status, 200);
+  }
+  
+  const limited = await call('/health', { ip });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.data.error, 'Rate limit exceeded. Please try again later.');
+  assert.equal(limited.headers.get('Access-Control-Allow-Origin'), ORIGIN);
+  
+  // Other IPs are unaffected, and preflights aren't counted
+  assert.equal((await call('/health', { ip: '192.0.2.2' })).status, 200);
+  assert.equal((await call('/health', { ip, method: 'OPTIONS' })).status, 204);
+  
+  // The window resets a minute after the first request
+  tick(60000);
+  assert.equal((await call('/health', { ip })).status, 429);
+  tick(1);
+  assert.equal((await call('/health', { ip })).status, 200);
+});
+
+test('createGame validates the player and rules', async () => {
+  const cases = [
+    [{ playerName: 'A', role: 'hunter' }, 'Missing required field: gameCode'],
+    [{ gameCode: 'V1', role: 'hunter' }, 'Missing required field: playerName'],
+    [{ gameCode: 'V1', playerName: 'A', role: 'ghost' }, 'Invalid role'],
+  ];
+  
+  for (const [body, error] of cases) {
+    const { status, data } = await call('/createGame', { body });
+    assert.equal(status, 400);
+    assert.equal(data.error, error);
+  }
+  
+  const invalidRules = await call('/createGame', {
+    body: { gameCode: 'V1', playerName: 'A', role: 'hunter', rules: { captureDistance: 1 } },
+  });
+  assert.equal(invalidRules.status, 400);
+});
+
+test('game codes can\'t be taken twice', async () => {
+  const body = { gameCode: 'TAKEN', playerName: 'A', role: 'hunter' };
+  
+  assert.equal((await call('/createGame', { body })).status, 200);
+  
+  const { status, data } = await call('/createGame', { body });
+  assert.equal(status, 409);
+  assert.equal(data.error, 'Game code already in use');
+});
+
+test('joinGame needs an open game', async () => {
+  const missing = await call('/joinGame', { body: { gameCode: 'NOGAME', playerName: 'A', role: 'hunted' } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.data.error, 'Game not found');
+  
+  await call('/createGame', { body: { gameCode: 'FULL', playerName: 'A', role: 'hunter', rules: { maxPlayers: 2 } } });
+  assert.equal((await call('/joinGame', { body: { gameCode: 'FULL', playerName: 'B', role: 'hunted' } })).status, 200);
+  
+  const full = await call('/joinGame', { body: { gameCode: 'FULL', playerName: 'C', role: 'hunted' } });
+  assert.equal(full.status, 409);
+  assert.equal(full.data.error, 'Game is full');
+});
+
+test('game routes need a valid, unexpired session token', async () => {
+  assert.deepEqual(await call('/game').then(response => [response.status, response.data.error]),
+    [401, 'Missing session token']);
+  assert.deepEqual(await call('/game', { token: 'not.valid' }).then(response => [response.status, response.data.error]),
+    [401, 'Invalid session token']);
+  
+  const { data } = await call('/createGame', { body: { gameCode: 'TOKENS', playerName: 'A', role: 'hunter' } });
+  const [payload, signature] = data.token.split('.');
+  const forged = `${payload}.${signature.slice(1)}${signature[0] === 'A' ? 'B' : 'A'}`;
+  assert.equal((await call('/game', { token: forged })).status, 401);
+  
+  // Keep the game alive past the four hour token lifetime
+  for (let i = 0; i < 24; i++) {
+    assert.equal((await call('/game', { token: data.token })).status, 200);
+    tick(10 * 60 * 1000);
+  }
+  
+  tick(1);
+  const expired = await call('/game', { token: data.token });
+  assert.equal(expired.status, 401);
+  assert.equal(expired.data.error, 'Session token expired');
+});
+
+test('updateLocation validates fixes', async () => {
+  const { hunter } = await setUpLobby('FIXES');
+  const cases = [
+    [{ lon: 0, timestamp: Date.now() }, 'Missing required field: lat'],
+    [{ lat: 0, timestamp: Date.now() }, 'Missing required field: lon'],
+    [{ lat: 0, lon: 0 }, 'Missing required field: timestamp'],
+    [{ lat: 91, lon: 0, timestamp: Date.now() }, 'Invalid latitude'],
+    [{ lat: '51.5', lon: 0, timestamp: Date.now() }, 'Invalid latitude'],
+    [{ lat: 0, lon: -180.5, timestamp: Date.now() }, 'Invalid longitude'],
+    [{ lat: 0, lon: 0, timestamp: 'now' }, 'Invalid timestamp'],
+  ];
+  
+  for (const [body, error] of cases) {
+    const { status, data } = await call('/updateLocation', { body, token: hunter.token });
+    assert.equal(status, 400, JSON.stringify(body));
+    assert.equal(data.error, error);
+  }
+  
+  const { status, data } = await call('/updateLocation', { body: fixAt(0), token: hunter.token });
+  assert.equal(status, 200);
+  assert.equal(data.success, true);
+  assert.deepEqual(data.flags, []);
+});
+
+test('referees can\'t send positions', async () => {
+  await setUpLobby('REFS');
+  const { data } = await call('/joinGame', { body: { gameCode: 'REFS', playerName: 'Ref', role: 'referee' } });
+  
+  const { status, data: error } = await call('/updateLocation', { body: fixAt(0), token: data.token });
+  assert.equal(status, 403);
+  assert.equal(error.error, 'Referees don\'t send positions');
+});
+
+test('only the host starts, once everyone is ready', async () => {
+  const created = await call('/createGame', { body: { gameCode: 'START', playerName: 'A', role: 'hunter' } });
+  const joined = await call('/joinGame', { body: { gameCode: 'START', playerName: 'B', role: 'hunted' } });
+  const host = created.data.token;
+  
+  await call('/ready', { body: { ready: true }, token: host });
+  const notReady = await call('/startGame', { body: {}, token: host });
+  assert.equal(notReady.status, 409);
+  assert.equal(notReady.data.error, 'Not all players are ready');
+  
+  await call('/ready', { body: { ready: true }, token: joined.data.token });
+  assert.equal((await call('/startGame', { body: {}, token: joined.data.token })).status, 403);
+  
+  const started = await call('/startGame', { body: {}, token: host });
+  assert.equal(started.status, 200);
+  assert.equal(started.data.game.status, 'countdown');
+});
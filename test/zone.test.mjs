@@ -0,0 +1,99 @@
+// The shrinking zone: its schedule, when players learn of the next zone,
+// and the play area tightening when it closes
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateDistance, getBearing, offsetPosition } from '../game-logic.js';
+import { startClock, tick, call, setUpLobby, join, start, HOME } from './helpers.mjs';
+
+const AREA = { type: 'circle', center: HOME, radius: 1000 };
+const DURATION = 10 * 60 * 1000;
+
+before(() => startClock());
+
+async function startZoneGame(gameCode, zoneShrinks, rules = {}) {
+  const players = await setUpLobby(gameCode, {
+    playArea: AREA,
+    zoneShrinks,
+    gameDuration: DURATION,
+    outOfBoundsGrace: 0,
+    ...rules,
+  });
+  const referee = await join(gameCode, 'Ref', 'referee');
+  const game = await start(players.hunter);
+  return { ...players, referee, game };
+}
+
+async function zoneFor(player) {
+  return (await call('/locations', { token: player.token })).data.zone;
+}
+
+function moveTo(player, point) {
+  return call('/updateLocation', { body: { ...point, accuracy: 5, timestamp: Date.now() }, token: player.token });
+}
+
+test('only a circular play area can shrink', async () => {
+  for (const playArea of [null, { type: 'polygon', points: [HOME, offsetPosition(HOME, 0, 500), offsetPosition(HOME, 90, 500)] }]) {
+    const { status, data } = await call('/createGame', {
+      body: { gameCode: 'NOSHRINK', playerName: 'Hunter', role: 'hunter', rules: { playArea, zoneShrinks: 2 } },
+    });
+    assert.equal(status, 400);
+    assert.equal(data.error, 'Invalid rule zoneShrinks: the zone can only shrink from a circular play area');
+  }
+});
+
+test('each zone closes on schedule, smaller and inside the last', async () => {
+  const { hunted, referee, game } = await startZoneGame('SCHEDULE', 2);
+  let previous = { ...AREA, closeAt: game.startTime };
+  
+  for (const closeAt of [game.startTime + DURATION / 3, game.startTime + DURATION * 2 / 3]) {
+    // Announced a minute ahead
+    tick(closeAt - 60000 - Date.now() - 1);
+    assert.equal((await zoneFor(hunted)).next, null);
+    
+    tick(1);
+    const { current, next } = await zoneFor(hunted);
+    assert.equal(current.radius, previous.radius);
+    assert.equal(Math.round(next.closeAt), Math.round(closeAt));
+    assert.equal(next.radius, Math.round(previous.radius * 0.7));
+    assert.ok(calculateDistance(previous.center.lat, previous.center.lon, next.center.lat, next.center.lon)
+      <= previous.radius - next.radius + 1);
+    
+    tick(closeAt - Date.now());
+    const closed = await zoneFor(referee);
+    assert.equal(closed.current.radius, next.radius);
+    assert.equal(closed.next, null);
+    previous = next;
+  }
+});
+
+test('the play area is the zone in force', async () => {
+  const { hunted, game } = await startZoneGame('SQUEEZE', 1);
+  
+  // Stand just outside the next zone, on the side towards the middle of the
+  // play area, so still well inside it
+  tick(DURATION / 2 - 60000);
+  const { next } = await zoneFor(hunted);
+  const spot = offsetPosition(next.center, getBearing(next.center, HOME), next.radius + 20);
+  await moveTo(hunted, spot);
+  assert.equal((await call('/locations', { token: hunted.token })).data.penalty, null);
+  
+  // Once it closes the same spot is out of bounds
+  tick(game.startTime + DURATION / 2 - Date.now());
+  await moveTo(hunted, spot);
+  assert.equal((await call('/locations', { token: hunted.token })).data.penalty, 'revealed');
+});
+
+test('pausing holds the zone\'s deadlines back', async () => {
+  const { hunted, referee } = await startZoneGame('ZONEPAUSE', 1);
+  
+  tick(DURATION / 2 - 60000);
+  const { next } = await zoneFor(hunted);
+  
+  await call('/pauseGame', { body: {}, token: referee.token });
+  tick(5 * 60 * 1000);
+  await call('/resumeGame', { body: {}, token: referee.token });
+  
+  const resumed = await zoneFor(hunted);
+  assert.equal(resumed.next.closeAt, next.closeAt + 5 * 60 * 1000);
+});
@@ -6,6 +6,120 @@ const CONFIG = {
   // Data retention: Auto-delete positions older than 15 minutes
   MAX_POSITION_AGE: 15 * 60 * 1000,
   
+  // Rules used when the creator doesn't choose their own
+  DEFAULT_RULES: {
+    gameDuration: 10 * 60 * 1000, // Measured from the shared start time
+    positionDelay: 2 * 60 * 1000, // Opponents only see positions at least this old
+    captureDistance: 50, // Meters between a hunter and a hunted player
+    captureConfirmTime: 10 * 1000, // How long a hunter must stay in range to capture (0 = at once)
+    updateInterval: 5000, // How often clients send and fetch positions
+    maxPlayers: 4,
+    mode: 'classic', // 'classic': first capture wins; 'infection': caught players become hunters
+    playArea: null, // Optional circle or polygon players must stay inside
+    zoneShrinks: 0, // Times a circular play area shrinks during the game (0 = never)
+    outOfBoundsGrace: 30 * 1000, // Time outside the play area before the penalty
+    outOfBoundsPenalty: 'reveal', // 'reveal' live position or 'disqualify'
+    rejectFlaggedUpdates: false, // Drop updates that fail the anti-cheat checks
+    abilityCharges: 2, // Uses of each of their side's abilities per player
+    trailLength: 5, // Earlier positions shown behind each opponent (0 = none)
+  },
+  
+  // [min, max] for each rule. The delay must stay below MAX_POSITION_AGE,
+  // and the update interval must keep clients under RATE_LIMIT.
+  RULE_LIMITS: {
+    gameDuration: [60 * 1000, 2 * 60 * 60 * 1000],
+    positionDelay: [30 * 1000, 10 * 60 * 1000],
+    captureDistance: [5, 500],
+    captureConfirmTime: [0, 60 * 1000],
+    updateInterval: [3000, 60000],
+    maxPlayers: [2, 20],
+    zoneShrinks: [0, 10],
+    abilityCharges: [0, 10],
+    trailLength: [0, 20],
+    outOfBoundsGrace: [0, 5 * 60 * 1000],
+  },
+  
+  // Allowed values for each rule that is a choice
+  RULE_CHOICES: {
+    mode: ['classic', 'infection'],
+    outOfBoundsPenalty: ['reveal', 'disqualify'],
+  },
+  
+  // Captures: the most GPS error may widen or narrow the capture distance, as
+  // a fraction of it (see getCaptureRange)
+  MAX_CAPTURE_MARGIN: 0.5,
+  
+  // Play areas: circle radius in meters [min, max], polygon corner count [min, max]
+  PLAY_AREA_RADIUS: [50, 20000],
+  PLAY_AREA_POINTS: [3, 50],
+  
+  // Shrinking zone: each zone is this fraction of the previous radius (never
+  // below the minimum play area radius), announced this long before it closes
+  ZONE_SHRINK_FACTOR: 0.7,
+  ZONE_WARNING: 60 * 1000,
+  
+  // Anti-cheat: updates breaking these are flagged (see screenLocation)
+  MAX_SPEED: 40, // m/s (~145 km/h) between consecutive updates
+  MAX_CLOCK_SKEW: 30 * 1000, // How far a fix may be timestamped in the future
+  MIN_REAL_ACCURACY: 1, // Meters; real GPS never reports better than this
+  MAX_IDENTICAL_FIXES: 10, // Separate fixes at exactly the same coordinates
+  MAX_CHEAT_FLAGS: 20, // Flags kept per player
+  
+  // Batched uploads: most queued fixes a client may send at once, and the
+  // most its clock may be corrected by (see handleUpdateLocations)
+  MAX_BATCH_POINTS: 120,
+  MAX_BATCH_CLOCK_OFFSET: 5 * 1000,
+  
+  // Team messages: max length, and how many each game keeps
+  MAX_MESSAGE_LENGTH: 100,
+  MAX_MESSAGES: 100,
+  
+  // Abilities: which side may use each, how long it lasts, and how long
+  // from activation until it can be used again
+  ABILITIES: {
+    radar: { role: 'hunter', duration: 10 * 1000, cooldown: 60 * 1000 }, // See hunted players live
+    decoy: { role: 'hunted', duration: 60 * 1000, cooldown: 60 * 1000 }, // Hunters see a fake position
+    goDark: { role: 'hunted', duration: 60 * 1000, cooldown: 2 * 60 * 1000 }, // Hidden from hunters
+  },
+  DECOY_DISTANCE: [150, 300], // Meters from the real position, [min, max]
+  
+  // Proximity alerts: hunted players learn how close the nearest hunter is
+  // as a band, never a position. Limits are multiples of the capture distance;
+  // anything further is 'far'.
+  DANGER_BANDS: [
+    { band: 'very_close', within: 3 },
+    { band: 'near', within: 8 },
+  ],
+  
+  // Referees watch every player live and run the game. They don't count
+  // towards maxPlayers and never send positions.
+  MAX_REFEREES: 2,
+  
+  // Game events (captures, out-of-bounds, referee actions) each game keeps
+  MAX_EVENTS: 200,
+  
+  // Positions older than this are ignored when checking for captures
+  LIVE_POSITION_MAX_AGE: 30 * 1000,
+  
+  // Countdown between the host pressing start and the game going active
+  COUNTDOWN_DURATION: 10 * 1000,
+  
+  // Session tokens issued on create/join stay valid this long
+  TOKEN_TTL: 4 * 60 * 60 * 1000,
+  
+  // Player profiles: matches kept in each one's history, and how many
+  // profiles a leaderboard lists
+  MAX_MATCH_HISTORY: 50,
+  LEADERBOARD_SIZE: 20,
+  
+  // Leaderboard orders: sort name -> the profile stat it ranks by
+  LEADERBOARD_SORTS: {
+    wins: 'wins',
+    captures: 'captures',
+    distance: 'distance',
+    survival: 'longestSurvival',
+  },
+  
   // Rate limiting: Max requests per IP per minute
   RATE_LIMIT: 60,
   
@@ -15,194 +129,2576 @@ const CONFIG = {
   ],
 };
 
-// In-memory storage (Workers KV would be better for production)
-// For this simple use case, we'll use the Workers runtime global
-let gameData = new Map(); // gameCode -> Map of playerId -> playerData
+// Open real-time connections, per isolate (or per GameObject)
+let gameSockets = new Map(); // gameCode -> Set of { socket, playerId, sent }
+
+// Rate limiting map
+let rateLimitMap = new Map(); // IP -> { count, resetTime }
+
+// Token signing key. Set the TOKEN_SECRET secret in production; without it
+// each isolate signs with its own random key, so tokens don't survive a restart.
+// With Durable Objects bound, tokens are signed in one object and checked in
+// another, so handleRequest refuses to run without it.
+let signingKey = null; // { secret, key }
+let fallbackSecret = null; // Generated on first use: Workers forbid randomness at global scope
+
+// Game Storage
+// A store holds game objects:
+//   { gameCode, status, hostId, rules, startTime, endTime, pausedAt,
+//     players: Map of playerId -> playerData, captures, events, result }
+// and implements:
+//   get(gameCode) -> game or null
+//   put(game)
+//   delete(gameCode)
+//   cleanup(cutoff) -> apply MAX_POSITION_AGE retention to every game it holds
+//   recordMatches(records) -> add a finished game's results to player profiles
+//   wakeAt(gameCode, time) -> call wakeGame for the game at `time`, or sooner
+// Handlers load a game, mutate it, then put it back. Every get of a game
+// returns the same object, so requests that interleave see each other's
+// changes and any put saves all of them.
+
+// In-memory store: used when no Durable Object binding is configured
+// (local development and tests). Lost when the isolate recycles.
+function createMemoryStore() {
+  const games = new Map(); // gameCode -> game
+  const wakeTimers = new Map(); // gameCode -> { timer, time }
+  
+  return {
+    async get(gameCode) {
+      return games.get(gameCode) || null;
+    },
+    
+    async put(game) {
+      games.set(game.gameCode, game);
+    },
+    
+    async delete(gameCode) {
+      games.delete(gameCode);
+    },
+    
+    async cleanup(cutoff) {
+      for (const [gameCode, game] of games.entries()) {
+        if (!cleanupGame(game, cutoff)) {
+          games.delete(gameCode);
+        }
+      }
+    },
+    
+    async count() {
+      return games.size;
+    },
+    
+    async recordMatches(records) {
+      await recordMatches(memoryProfileStore, records);
+    },
+    
+    async wakeAt(gameCode, time) {
+      const pending = wakeTimers.get(gameCode);
+      if (pending && pending.time <= time) return;
+      
+      clearTimeout(pending && pending.timer);
+      const timer = setTimeout(() => {
+        wakeTimers.delete(gameCode);
+        wakeGame(this, gameCode).catch(error => console.error('Error in wakeGame:', error));
+      }, Math.max(0, time - Date.now()));
+      
+      // Under Node, don't keep the process alive just for this
+      if (timer.unref) timer.unref();
+      wakeTimers.set(gameCode, { timer, time });
+    },
+  };
+}
+
+// Durable Object store: each game lives in its own GameObject, so every
+// request for a game is handled by one instance and survives restarts.
+// An alarm applies the retention rules even when nobody is playing, and
+// wakes the game sooner when it has sockets to push to.
+// Match results go to the ProfileObject behind the PROFILES binding, if any.
+//
+// The object runs other requests while one awaits anything, and storage
+// hands out copies, so the game is loaded once and kept in memory: every
+// request works on the same object, as with the memory store, and writes
+// go through to storage. Otherwise a request holding an older copy across
+// an await would save it over everyone else's changes.
+function createDurableObjectStore(storage, profiles) {
+  let loaded = null; // Promise of the game (or null), once first read
+  
+  function load() {
+    if (!loaded) {
+      loaded = storage.get('game').then(game => game || null);
+    }
+    return loaded;
+  }
+  
+  return {
+    async get(gameCode) {
+      const game = await load();
+      return game && game.gameCode === gameCode ? game : null;
+    },
+    
+    async put(game) {
+      loaded = Promise.resolve(game);
+      await storage.put('game', game);
+      
+      if (await storage.getAlarm() === null) {
+        await storage.setAlarm(Date.now() + CONFIG.MAX_POSITION_AGE);
+      }
+    },
+    
+    async delete() {
+      loaded = Promise.resolve(null);
+      await storage.deleteAlarm();
+      await storage.deleteAll();
+    },
+    
+    async cleanup(cutoff) {
+      const game = await load();
+      if (!game) return;
+      
+      if (cleanupGame(game, cutoff)) {
+        await storage.put('game', game);
+      } else {
+        await this.delete(game.gameCode);
+      }
+    },
+    
+    async recordMatches(records) {
+      if (!profiles || records.length === 0) return;
+      
+      const response = await profiles.get(profiles.idFromName('profiles')).fetch('https://profiles/recordMatches', {
+        method: 'POST',
+        body: JSON.stringify(records),
+      });
+      
+      if (!response.ok) {
+        throw new Error(`ProfileObject answered ${response.status} to recordMatches`);
+      }
+    },
+    
+    // One alarm serves both: GameObject.alarm() wakes the game every time
+    async wakeAt(gameCode, time) {
+      const alarm = await storage.getAlarm();
+      
+      if (alarm === null || time < alarm) {
+        await storage.setAlarm(time);
+      }
+    },
+  };
+}
+
+const memoryStore = createMemoryStore();
+
+// Profile Storage
+// A profile store holds player profiles:
+//   { profileId, playerName, createdAt, stats, matches (newest first) }
+// and implements:
+//   get(profileId) -> profile or null
+//   put(profile)
+//   list() -> every profile, for leaderboards
+
+// In-memory profiles: used without a PROFILES binding. Lost when the isolate
+// recycles, though profile tokens stay valid and start over from empty.
+function createMemoryProfileStore() {
+  const profiles = new Map(); // profileId -> profile
+  
+  return {
+    async get(profileId) {
+      return profiles.get(profileId) || null;
+    },
+    
+    async put(profile) {
+      profiles.set(profile.profileId, profile);
+    },
+    
+    async list() {
+      return Array.from(profiles.values());
+    },
+  };
+}
+
+// Durable Object profiles: every profile lives in the one ProfileObject
+function createDurableObjectProfileStore(storage) {
+  return {
+    async get(profileId) {
+      return (await storage.get(`profile:${profileId}`)) || null;
+    },
+    
+    async put(profile) {
+      await storage.put(`profile:${profile.profileId}`, profile);
+    },
+    
+    async list() {
+      return Array.from((await storage.list({ prefix: 'profile:' })).values());
+    },
+  };
+}
+
+const memoryProfileStore = createMemoryProfileStore();
+
+// Helper Functions
+function getCorsHeaders(origin) {
+  const allowedOrigin = CONFIG.ALLOWED_ORIGINS.includes(origin) 
+    ? origin 
+    : CONFIG.ALLOWED_ORIGINS[0];
+    
+  return {
+    'Access-Control-Allow-Origin': allowedOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '86400',
+  };
+}
+
+// A downloadable file, e.g. a GPX track export
+function fileResponse(body, contentType, filename, origin = null) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      ...getCorsHeaders(origin),
+    },
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function jsonResponse(data, status = 200, origin = null) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getCorsHeaders(origin),
+    },
+  });
+}
+
+function sanitizeGameCode(value) {
+  return String(value).toUpperCase().slice(0, 10);
+}
+
+function sanitizePlayerName(value) {
+  return String(value).slice(0, 20);
+}
+
+function findMissingField(data, required) {
+  return required.find(field => data[field] === undefined || data[field] === null) || null;
+}
+
+// Session Tokens
+// A token is base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature).
+// It names the player and game; the player's role is read from the
+// player record it points at, never from the request body.
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function getSigningKey(env) {
+  if (!env.TOKEN_SECRET && !fallbackSecret) {
+    fallbackSecret = crypto.randomUUID() + crypto.randomUUID();
+  }
+  
+  const secret = env.TOKEN_SECRET || fallbackSecret;
+  
+  if (!signingKey || signingKey.secret !== secret) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+    signingKey = { secret, key };
+  }
+  
+  return signingKey.key;
+}
+
+async function signToken(env, data) {
+  const payload = new TextEncoder().encode(JSON.stringify(data));
+  const signature = await crypto.subtle.sign('HMAC', await getSigningKey(env), payload);
+  
+  return `${base64UrlEncode(payload)}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+// Returns the signed payload of a token string, or null if it isn't genuine
+async function readToken(env, token) {
+  const parts = token.split('.');
+  
+  if (parts.length !== 2) {
+    return null;
+  }
+  
+  let payloadBytes, signature;
+  try {
+    payloadBytes = base64UrlDecode(parts[0]);
+    signature = base64UrlDecode(parts[1]);
+  } catch (error) {
+    return null;
+  }
+  
+  const valid = await crypto.subtle.verify('HMAC', await getSigningKey(env), signature, payloadBytes);
+  return valid ? JSON.parse(new TextDecoder().decode(payloadBytes)) : null;
+}
+
+async function issueToken(env, gameCode, playerId, now) {
+  return signToken(env, {
+    gameCode,
+    playerId,
+    exp: now + CONFIG.TOKEN_TTL,
+  });
+}
+
+// Returns { payload } or { error } for a token string
+async function verifyToken(env, token, now) {
+  const payload = await readToken(env, token);
+  if (!payload) {
+    return { error: 'Invalid session token' };
+  }
+  
+  if (typeof payload.exp !== 'number' || now > payload.exp) {
+    return { error: 'Session token expired' };
+  }
+  
+  return { payload };
+}
+
+// Profile tokens name a profile and never expire: they are the player's
+// identity from one game to the next, kept by their browser
+async function issueProfileToken(env, profileId) {
+  return signToken(env, { profileId });
+}
+
+// The profile a token names, or null
+async function verifyProfileToken(env, token) {
+  if (typeof token !== 'string') return null;
+  
+  const payload = await readToken(env, token);
+  return payload && typeof payload.profileId === 'string' ? payload.profileId : null;
+}
+
+// Browsers can't set headers on WebSocket requests, so upgrades may pass
+// the token as ?token= instead of the Authorization header
+function getRequestToken(request) {
+  const header = request.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer (\S+)$/);
+  
+  if (match) {
+    return match[1];
+  }
+  
+  if (request.headers.get('Upgrade') === 'websocket') {
+    return new URL(request.url).searchParams.get('token');
+  }
+  
+  return null;
+}
+
+// Why a session no longer has a player: the game is gone (deleted once
+// empty, or by retention), or the player left or was removed
+function describeMissingPlayer(game, playerId) {
+  if (!game) return 'Game not found';
+  return game.kicked.includes(playerId) ? 'Removed by the referee' : 'Player not in game';
+}
+
+// Resolve the session token to the caller's game and player.
+// Returns { game, player } or { response } with a 401/403/404 to send back.
+async function authenticate(request, origin, env, store, now) {
+  const token = getRequestToken(request);
+  
+  if (!token) {
+    return { response: jsonResponse({ error: 'Missing session token' }, 401, origin) };
+  }
+  
+  const { payload, error } = await verifyToken(env, token, now);
+  if (error) {
+    return { response: jsonResponse({ error }, 401, origin) };
+  }
+  
+  const game = await getGame(store, payload.gameCode, now);
+  if (!game) {
+    return { response: jsonResponse({ error: 'Game not found' }, 404, origin) };
+  }
+  
+  const player = game.players.get(payload.playerId);
+  if (!player) {
+    return { response: jsonResponse({ error: describeMissingPlayer(game, payload.playerId) }, 403, origin) };
+  }
+  
+  player.lastSeen = now;
+  
+  return { game, player };
+}
+
+// Fill in defaults and range-check the creator's rules.
+// Returns { rules } or { error }.
+function validateRules(input) {
+  const rules = { ...CONFIG.DEFAULT_RULES };
+  
+  if (input === undefined || input === null) {
+    return { rules };
+  }
+  
+  if (typeof input !== 'object') {
+    return { error: 'Invalid rules' };
+  }
+  
+  for (const [name, [min, max]] of Object.entries(CONFIG.RULE_LIMITS)) {
+    if (input[name] === undefined || input[name] === null) continue;
+    
+    const value = input[name];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return { error: `Invalid rule ${name}: must be between ${min} and ${max}` };
+    }
+    
+    rules[name] = ['maxPlayers', 'zoneShrinks', 'abilityCharges'].includes(name) ? Math.floor(value) : value;
+  }
+  
+  if (input.rejectFlaggedUpdates !== undefined && input.rejectFlaggedUpdates !== null) {
+    if (typeof input.rejectFlaggedUpdates !== 'boolean') {
+      return { error: 'Invalid rule rejectFlaggedUpdates: must be true or false' };
+    }
+    rules.rejectFlaggedUpdates = input.rejectFlaggedUpdates;
+  }
+  
+  for (const [name, choices] of Object.entries(CONFIG.RULE_CHOICES)) {
+    if (input[name] === undefined || input[name] === null) continue;
+    
+    if (!choices.includes(input[name])) {
+      return { error: `Invalid rule ${name}: must be one of ${choices.join(', ')}` };
+    }
+    
+    rules[name] = input[name];
+  }
+  
+  if (input.playArea !== undefined && input.playArea !== null) {
+    const { playArea, error } = validatePlayArea(input.playArea);
+    if (error) {
+      return { error: `Invalid rule playArea: ${error}` };
+    }
+    rules.playArea = playArea;
+  }
+  
+  if (rules.zoneShrinks > 0 && (!rules.playArea || rules.playArea.type !== 'circle')) {
+    return { error: 'Invalid rule zoneShrinks: the zone can only shrink from a circular play area' };
+  }
+  
+  return { rules };
+}
+
+function isValidPoint(point) {
+  return point !== null && typeof point === 'object' &&
+    typeof point.lat === 'number' && point.lat >= -90 && point.lat <= 90 &&
+    typeof point.lon === 'number' && point.lon >= -180 && point.lon <= 180;
+}
+
+// A play area is { type: 'circle', center: { lat, lon }, radius }
+// or { type: 'polygon', points: [{ lat, lon }, ...] }.
+// Returns { playArea } with only the known fields, or { error }.
+function validatePlayArea(input) {
+  if (typeof input !== 'object') {
+    return { error: 'must be an object' };
+  }
+  
+  if (input.type === 'circle') {
+    const [min, max] = CONFIG.PLAY_AREA_RADIUS;
+    
+    if (!isValidPoint(input.center)) {
+      return { error: 'circle needs a center with lat and lon' };
+    }
+    if (typeof input.radius !== 'number' || !(input.radius >= min && input.radius <= max)) {
+      return { error: `radius must be between ${min} and ${max}` };
+    }
+    
+    return { playArea: {
+      type: 'circle',
+      center: { lat: input.center.lat, lon: input.center.lon },
+      radius: input.radius,
+    } };
+  }
+  
+  if (input.type === 'polygon') {
+    const [min, max] = CONFIG.PLAY_AREA_POINTS;
+    
+    if (!Array.isArray(input.points) || input.points.length < min || input.points.length > max) {
+      return { error: `polygon needs between ${min} and ${max} points` };
+    }
+    if (!input.points.every(isValidPoint)) {
+      return { error: 'every point needs lat and lon' };
+    }
+    
+    return { playArea: {
+      type: 'polygon',
+      points: input.points.map(point => ({ lat: point.lat, lon: point.lon })),
+    } };
+  }
+  
+  return { error: 'type must be circle or polygon' };
+}
+
+function checkRateLimit(ip) {
+  const now = Date.now();
+  
+  if (!rateLimitMap.has(ip)) {
+    rateLimitMap.set(ip, { count: 1, resetTime: now + 60000 });
+    return true;
+  }
+  
+  const limit = rateLimitMap.get(ip);
+  
+  // Reset if time window passed
+  if (now > limit.resetTime) {
+    rateLimitMap.set(ip, { count: 1, resetTime: now + 60000 });
+    return true;
+  }
+  
+  // Check limit
+  if (limit.count >= CONFIG.RATE_LIMIT) {
+    return false;
+  }
+  
+  limit.count++;
+  return true;
+}
+
+// Trim one game's data to the retention window. Tracks are kept whole for
+// export until the game has been over that long (see hasTrackExpired).
+// Returns false once the game has no players left and should be deleted.
+function cleanupGame(game, cutoff) {
+  for (const playerData of game.players.values()) {
+    if (playerData.lastSeen < cutoff) {
+      removePlayer(game, playerData);
+      continue;
+    }
+    
+    playerData.history = playerData.history.filter(point => point.timestamp >= cutoff);
+  }
+  
+  if (hasTrackExpired(game, cutoff)) {
+    for (const playerData of game.players.values()) {
+      playerData.track = [];
+    }
+    game.departed = [];
+  }
+  
+  game.messages = game.messages.filter(message => message.timestamp >= cutoff);
+  game.events = game.events.filter(event => event.timestamp >= cutoff);
+  
+  return game.players.size > 0;
+}
+
+async function cleanOldData(store) {
+  const now = Date.now();
+  
+  // Clean up old games and positions
+  await store.cleanup(now - CONFIG.MAX_POSITION_AGE);
+}
+
+function cleanRateLimits() {
+  const now = Date.now();
+  
+  for (const [ip, limit] of rateLimitMap.entries()) {
+    if (now > limit.resetTime) {
+      rateLimitMap.delete(ip);
+    }
+  }
+}
+
+// Up to `length` recorded positions from before `timestamp`, oldest first.
+// Anything before a position we may see is at least as old, so trails never
+// reveal more than the position itself.
+function getTrail(playerData, timestamp, length) {
+  const trail = [];
+  
+  for (let i = playerData.history.length - 1; i >= 0 && trail.length < length; i--) {
+    const point = playerData.history[i];
+    if (point.timestamp < timestamp) {
+      trail.unshift({ lat: point.lat, lon: point.lon, timestamp: point.timestamp });
+    }
+  }
+  
+  return trail;
+}
+
+// Latest recorded position that is at least `delay` ms old, or null
+function getDelayedPosition(playerData, now, delay) {
+  const revealBefore = now - delay;
+  
+  for (let i = playerData.history.length - 1; i >= 0; i--) {
+    if (playerData.history[i].timestamp <= revealBefore) {
+      return playerData.history[i];
+    }
+  }
+  
+  return null;
+}
+
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3; // Earth's radius in meters
+  const φ1 = lat1 * Math.PI / 180;
+  const φ2 = lat2 * Math.PI / 180;
+  const Δφ = (lat2 - lat1) * Math.PI / 180;
+  const Δλ = (lon2 - lon1) * Math.PI / 180;
+  
+  const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  
+  return R * c;
+}
+
+// Game lifecycle: lobby -> countdown -> active -> ended. A referee can pause
+// an active game and resume it. Time-based transitions are applied lazily
+// whenever a game is read.
+function createGame(gameCode, hostId, rules, now) {
+  return {
+    gameCode,
+    status: 'lobby',
+    hostId,
+    rules,
+    createdAt: now,
+    startTime: null,
+    endTime: null,
+    pausedAt: null, // Set while a referee has the game paused
+    players: new Map(),
+    kicked: [], // Player IDs a referee has removed
+    departed: [], // Players gone mid-game: { playerId, playerName, role, track }, for the track export
+    captures: [],
+    pendingCaptures: [], // Hunters in range, waiting out captureConfirmTime
+    events: [], // { eventId, type, text, public, timestamp }
+    zones: [], // Shrinking zone schedule, set when the game starts
+    messages: [], // Team messages: { messageId, playerId, playerName, role, text, timestamp }
+    result: null,
+    recorded: false, // Result added to player profiles
+  };
+}
+
+function createPlayer(gameCode, playerId, playerName, role, now) {
+  return {
+    playerId,
+    playerName,
+    role,
+    startRole: null, // Role when the game started
+    profileId: null, // Set from a profile token on create/join
+    gameCode,
+    ready: false,
+    joinedAt: now,
+    lastSeen: now,
+    lat: null,
+    lon: null,
+    accuracy: null,
+    timestamp: null,
+    history: [],
+    outOfBoundsSince: null, // When the player last left the play area
+    revealed: false, // Opponents see this player's live position
+    disqualified: false,
+    fixTimestamp: null, // Client timestamp of the last fix
+    identicalFixes: 0, // Consecutive fixes at exactly the same coordinates
+    cheatFlags: [], // { reason, detail, timestamp }, newest last
+    track: [], // Every position recorded while the game is active, for replays
+    abilities: Object.fromEntries(Object.keys(CONFIG.ABILITIES).map(name =>
+      [name, { used: 0, activeUntil: 0, readyAt: 0, offset: null }]
+    )),
+  };
+}
+
+// Hunters and hunted, leaving out referees
+function getPlayers(game) {
+  return Array.from(game.players.values()).filter(player => player.role !== 'referee');
+}
+
+// Take a player out of the game. Whatever track they recorded stays behind
+// for the track export and replays.
+function removePlayer(game, player) {
+  game.players.delete(player.playerId);
+  
+  if (player.track.length > 0) {
+    const { playerId, playerName, role, track } = player;
+    game.departed.push({ playerId, playerName, role, track });
+  }
+}
+
+// Record something that happened for the referee's log. Public events
+// (captures and referee actions) are shown to players too.
+function logEvent(game, type, text, isPublic, now) {
+  game.events.push({ eventId: crypto.randomUUID(), type, text, public: isPublic, timestamp: now });
+  game.events.splice(0, game.events.length - CONFIG.MAX_EVENTS);
+}
+
+function getEvents(game, requester) {
+  return requester.role === 'referee' ? game.events : game.events.filter(event => event.public);
+}
+
+// Freeze the clock. On resume, every deadline still ahead when the game was
+// paused moves back by the length of the pause.
+function pauseGame(game, now) {
+  game.status = 'paused';
+  game.pausedAt = now;
+}
+
+function resumeGame(game, now) {
+  const pausedFor = now - game.pausedAt;
+  const shift = time => time > game.pausedAt ? time + pausedFor : time;
+  
+  game.endTime = shift(game.endTime);
+  
+  for (const pending of game.pendingCaptures) {
+    pending.since = shift(pending.since);
+    pending.confirmAt = shift(pending.confirmAt);
+  }
+  
+  for (const zone of game.zones) {
+    zone.announceAt = shift(zone.announceAt);
+    zone.closeAt = shift(zone.closeAt);
+  }
+  
+  for (const player of game.players.values()) {
+    if (player.outOfBoundsSince !== null) {
+      player.outOfBoundsSince += pausedFor;
+    }
+    
+    for (const state of Object.values(player.abilities)) {
+      state.activeUntil = shift(state.activeUntil);
+      state.readyAt = shift(state.readyAt);
+    }
+  }
+  
+  game.status = 'active';
+  game.pausedAt = null;
+}
+
+function advanceGameState(game, now) {
+  if (game.status === 'countdown' && now >= game.startTime) {
+    game.status = 'active';
+  }
+  
+  if (game.status === 'active' && now >= game.endTime) {
+    endGame(game, 'timeout', 'hunted', game.endTime);
+  }
+  
+  applyBoundaryPenalties(game, now);
+}
+
+// Whether a point lies inside the play area (everywhere is, without one)
+function isInPlayArea(playArea, lat, lon) {
+  if (!playArea) return true;
+  
+  if (playArea.type === 'circle') {
+    return calculateDistance(playArea.center.lat, playArea.center.lon, lat, lon) <= playArea.radius;
+  }
+  
+  // Ray casting on raw coordinates; fine at neighbourhood scale
+  const points = playArea.points;
+  let inside = false;
+  
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    
+    if ((a.lat > lat) !== (b.lat > lat) &&
+        lon < (b.lon - a.lon) * (lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
+// Point `distance` meters from `from` on `bearing` (radians); flat-earth
+// approximation, fine at play-area scale
+function offsetPoint(from, distance, bearing) {
+  const metersPerDegree = 111320;
+  
+  return {
+    lat: from.lat + distance * Math.cos(bearing) / metersPerDegree,
+    lon: from.lon + distance * Math.sin(bearing) / (metersPerDegree * Math.cos(from.lat * Math.PI / 180)),
+  };
+}
+
+// The shrinking zone schedule, fixed by the server when the game starts so
+// every client agrees. Shrinks are spread evenly over the game; each new zone
+// is a smaller circle somewhere inside the previous one.
+function scheduleZones(rules, startTime) {
+  const zones = [];
+  const spacing = rules.gameDuration / (rules.zoneShrinks + 1);
+  const warning = Math.min(CONFIG.ZONE_WARNING, spacing / 2);
+  let previous = rules.playArea;
+  
+  for (let i = 1; i <= rules.zoneShrinks; i++) {
+    const radius = Math.round(Math.max(CONFIG.PLAY_AREA_RADIUS[0], previous.radius * CONFIG.ZONE_SHRINK_FACTOR));
+    const center = offsetPoint(
+      previous.center,
+      Math.random() * (previous.radius - radius),
+      Math.random() * 2 * Math.PI
+    );
+    const closeAt = Math.round(startTime + spacing * i);
+    
+    zones.push({ type: 'circle', center, radius, announceAt: closeAt - warning, closeAt });
+    previous = zones[zones.length - 1];
+  }
+  
+  return zones;
+}
+
+// The play area in force at `now`: the last zone to have closed, or the
+// creator's play area before the first shrink
+function getPlayArea(game, now) {
+  const closed = game.zones.filter(zone => zone.closeAt <= now);
+  return closed.length > 0 ? closed[closed.length - 1] : game.rules.playArea;
+}
+
+// What clients may know about the zone: the area in force and, once
+// announced, the next one. Null when the zone doesn't shrink.
+function getZoneState(game, now) {
+  if (game.zones.length === 0 || !['active', 'paused'].includes(game.status)) return null;
+  
+  const { type, center, radius } = getPlayArea(game, now);
+  const next = game.zones.find(zone => zone.announceAt <= now && zone.closeAt > now) || null;
+  
+  return { current: { type, center, radius }, next };
+}
+
+// Start or stop the out-of-bounds clock from the player's latest position.
+// Only time spent outside while the game is active counts; a pause freezes it.
+function updateBoundaryState(game, player, now) {
+  if (game.status === 'paused') return;
+  
+  if (game.status !== 'active' || isInPlayArea(getPlayArea(game, now), player.lat, player.lon)) {
+    if (player.outOfBoundsSince !== null && game.status === 'active') {
+      logEvent(game, 'in_bounds', `${player.playerName} is back inside the play area`, false, now);
+    }
+    player.outOfBoundsSince = null;
+  } else if (player.outOfBoundsSince === null) {
+    player.outOfBoundsSince = now;
+    logEvent(game, 'out_of_bounds', `${player.playerName} left the play area`, false, now);
+  }
+}
+
+// Penalise players who have been outside the play area longer than the
+// grace period. Revealing lasts until the player returns; disqualification
+// is permanent, and a side with every player disqualified loses.
+function applyBoundaryPenalties(game, now) {
+  if (game.status !== 'active' || !game.rules.playArea) return;
+  
+  for (const player of game.players.values()) {
+    const overdue = player.outOfBoundsSince !== null &&
+      now - player.outOfBoundsSince >= game.rules.outOfBoundsGrace;
+    
+    if (game.rules.outOfBoundsPenalty === 'disqualify') {
+      if (overdue && !player.disqualified) {
+        player.disqualified = true;
+        logEvent(game, 'disqualified', `${player.playerName} was disqualified for leaving the play area`, true, now);
+      }
+    } else {
+      player.revealed = overdue;
+    }
+  }
+  
+  checkSides(game, 'disqualified', now);
+}
+
+// End the game once a side has nobody left in play: every hunter or every
+// uncaught hunted player disqualified, converted, removed or gone. The other
+// side wins, for `reason`. Returns whether the game ended.
+function checkSides(game, reason, now) {
+  if (!['countdown', 'active', 'paused'].includes(game.status)) return false;
+  
+  const caughtIds = new Set(game.captures.map(capture => capture.huntedId));
+  const inPlay = role => getPlayers(game).some(player => player.role === role
+    && !player.disqualified
+    && !(role === 'hunted' && caughtIds.has(player.playerId)));
+  
+  for (const role of ['hunter', 'hunted']) {
+    if (!inPlay(role)) {
+      endGame(game, reason, role === 'hunter' ? 'hunted' : 'hunter', now);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+async function getGame(store, gameCode, now) {
+  const game = await store.get(gameCode);
+  
+  if (game) {
+    advanceGameState(game, now);
+  }
+  
+  return game;
+}
+
+function serializeGame(game, now) {
+  return {
+    gameCode: game.gameCode,
+    status: game.status,
+    hostId: game.hostId,
+    rules: game.rules,
+    players: Array.from(game.players.values()).map(player => ({
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      ready: player.ready,
+      outOfBounds: player.outOfBoundsSince !== null,
+      revealed: player.revealed,
+      disqualified: player.disqualified,
+      cheatFlags: player.cheatFlags,
+    })),
+    startTime: game.startTime,
+    endTime: game.endTime,
+    pausedAt: game.pausedAt,
+    serverTime: now,
+    result: game.result,
+  };
+}
+
+// How sure we are that a hunter is within capture distance of a hunted player.
+// Each fix's accuracy is roughly one standard deviation of its error, so the
+// error in the distance between two fixes is about √(a² + b²). A pair is
+// 'in' range if they'd still be within the capture distance that much
+// further apart, 'out' if they'd still be beyond it that much closer, and
+// 'unsure' in between. The margin is capped at MAX_CAPTURE_MARGIN of the
+// capture distance, or ordinary phone accuracy could rule out any capture.
+function getCaptureRange(game, hunter, hunted) {
+  const distance = calculateDistance(hunter.lat, hunter.lon, hunted.lat, hunted.lon);
+  const error = Math.hypot(hunter.accuracy || 0, hunted.accuracy || 0);
+  const margin = Math.min(error, game.rules.captureDistance * CONFIG.MAX_CAPTURE_MARGIN);
+  
+  const range =
+    distance + margin <= game.rules.captureDistance ? 'in' :
+    distance - margin > game.rules.captureDistance ? 'out' :
+    'unsure';
+  
+  return { distance, range };
+}
+
+// A pending capture lapses once either player is gone, disqualified or on
+// another side, or the hunted player has been caught by someone else
+function isPendingCaptureValid(game, pending) {
+  const hunter = game.players.get(pending.hunterId);
+  const hunted = game.players.get(pending.huntedId);
+  
+  return Boolean(hunter && hunted) &&
+    hunter.role === 'hunter' && hunted.role === 'hunted' &&
+    !hunter.disqualified && !hunted.disqualified &&
+    !game.captures.some(capture => capture.huntedId === hunted.playerId);
+}
+
+// Check the updated player's live position against every live opponent.
+// A hunter confidently in range starts a pending capture, which completes if
+// they're still confidently in range once captureConfirmTime has passed. The
+// hunted player escapes by getting confidently out of range first; unsure
+// readings neither start, complete nor cancel one.
+// In classic mode any capture ends the game. In infection mode caught players
+// join the hunters, and the game ends once nobody is left to hunt.
+// The result is shared by every client.
+function checkCaptures(game, player, now) {
+  if (game.status !== 'active' || player.disqualified) return;
+  if (now - player.timestamp > CONFIG.LIVE_POSITION_MAX_AGE) return;
+  
+  game.pendingCaptures = game.pendingCaptures.filter(pending => isPendingCaptureValid(game, pending));
+  
+  const caught = [];
+  
+  for (const other of game.players.values()) {
+    if (other.role === player.role || other.role === 'referee' || other.disqualified) continue;
+    if (other.timestamp === null || now - other.timestamp > CONFIG.LIVE_POSITION_MAX_AGE) continue;
+    
+    const hunter = player.role === 'hunter' ? player : other;
+    const hunted = player.role === 'hunted' ? player : other;
+    
+    if (game.captures.some(capture => capture.huntedId === hunted.playerId)) continue;
+    
+    const { distance, range } = getCaptureRange(game, hunter, hunted);
+    const pending = game.pendingCaptures.find(capture =>
+      capture.hunterId === hunter.playerId && capture.huntedId === hunted.playerId
+    );
+    
+    if (range === 'out' && pending) {
+      game.pendingCaptures.splice(game.pendingCaptures.indexOf(pending), 1);
+      logEvent(game, 'escape', `${hunted.playerName} got away from ${hunter.playerName}`, false, now);
+    }
+    
+    if (range !== 'in') continue;
+    
+    if (!pending && game.rules.captureConfirmTime > 0) {
+      game.pendingCaptures.push({
+        hunterId: hunter.playerId,
+        hunterName: hunter.playerName,
+        huntedId: hunted.playerId,
+        huntedName: hunted.playerName,
+        since: now,
+        confirmAt: now + game.rules.captureConfirmTime,
+      });
+      logEvent(game, 'closing_in', `${hunter.playerName} is in range of ${hunted.playerName}`, false, now);
+      continue;
+    }
+    
+    if (pending && now < pending.confirmAt) continue;
+    
+    game.captures.push({
+      hunterId: hunter.playerId,
+      hunterName: hunter.playerName,
+      huntedId: hunted.playerId,
+      huntedName: hunted.playerName,
+      distance: Math.round(distance),
+      lat: hunted.lat,
+      lon: hunted.lon,
+      timestamp: now,
+      converted: game.rules.mode === 'infection',
+    });
+    logEvent(game, 'capture', `${hunter.playerName} ${
+      game.rules.mode === 'infection' ? 'infected' : 'caught'
+    } ${hunted.playerName}`, true, now);
+    caught.push(hunted);
+  }
+  
+  if (game.rules.mode !== 'infection') {
+    if (game.captures.length > 0) {
+      endGame(game, 'capture', 'hunter', now);
+    }
+    return;
+  }
+  
+  for (const hunted of caught) {
+    hunted.role = 'hunter';
+  }
+  
+  game.pendingCaptures = game.pendingCaptures.filter(pending => isPendingCaptureValid(game, pending));
+  
+  if (caught.length > 0) {
+    checkSides(game, 'infection', now);
+  }
+}
+
+// Pending captures `requester` is part of, or every one for referees
+function getPendingCaptures(game, requester) {
+  if (game.status !== 'active' && game.status !== 'paused') {
+    return [];
+  }
+  
+  return game.pendingCaptures.filter(pending =>
+    isPendingCaptureValid(game, pending) && (
+      requester.role === 'referee' ||
+      pending.hunterId === requester.playerId ||
+      pending.huntedId === requester.playerId
+    )
+  );
+}
+
+function endGame(game, reason, winner, now) {
+  const caughtIds = new Set(game.captures.map(capture => capture.huntedId));
+  
+  game.status = 'ended';
+  game.result = {
+    reason,
+    winner,
+    endedAt: now,
+    captures: game.captures,
+    survivors: Array.from(game.players.values())
+      .filter(player => player.role === 'hunted' && !caughtIds.has(player.playerId) && !player.disqualified)
+      .map(player => ({ playerId: player.playerId, playerName: player.playerName })),
+    disqualified: Array.from(game.players.values())
+      .filter(player => player.disqualified)
+      .map(player => ({ playerId: player.playerId, playerName: player.playerName, role: player.role })),
+    stats: buildPlayerStats(game, now),
+  };
+}
+
+// Validate a position fix from a client. Returns an error message or null.
+function validateLocation(data) {
+  const missing = findMissingField(data, ['lat', 'lon', 'timestamp']);
+  if (missing) {
+    return `Missing required field: ${missing}`;
+  }
+  
+  if (typeof data.lat !== 'number' || data.lat < -90 || data.lat > 90) {
+    return 'Invalid latitude';
+  }
+  
+  if (typeof data.lon !== 'number' || data.lon < -180 || data.lon > 180) {
+    return 'Invalid longitude';
+  }
+  
+  if (typeof data.timestamp !== 'number' || !Number.isFinite(data.timestamp)) {
+    return 'Invalid timestamp';
+  }
+  
+  return null;
+}
+
+// Compare a fix with the player's previous one and flag anything a real
+// phone wouldn't send. Flags are kept on the player for everyone to see.
+// Returns this update's flags (none once the game is over).
+function screenLocation(game, player, data, now) {
+  if (game.status === 'ended') return [];
+  
+  const flags = [];
+  const flag = (reason, detail) => flags.push({ reason, detail, timestamp: now });
+  const isResend = data.timestamp === player.fixTimestamp;
+  
+  if (data.timestamp > now + CONFIG.MAX_CLOCK_SKEW) {
+    flag('future_timestamp', `${Math.round((data.timestamp - now) / 1000)}s ahead`);
+  }
+  
+  if (player.fixTimestamp !== null && data.timestamp < player.fixTimestamp) {
+    flag('backwards_timestamp', `${Math.round((player.fixTimestamp - data.timestamp) / 1000)}s back`);
+  }
+  
+  if (typeof data.accuracy === 'number' && data.accuracy < CONFIG.MIN_REAL_ACCURACY) {
+    flag('perfect_accuracy', `${data.accuracy}m`);
+  }
+  
+  if (player.timestamp !== null) {
+    // Allow for both fixes being off by their reported accuracy
+    const distance = calculateDistance(player.lat, player.lon, data.lat, data.lon);
+    const slack = (player.accuracy || 0) + (data.accuracy || 0);
+    const seconds = Math.max(now - player.timestamp, 1000) / 1000;
+    const speed = Math.max(0, distance - slack) / seconds;
+    
+    if (speed > CONFIG.MAX_SPEED) {
+      flag('impossible_speed', `${Math.round(speed)} m/s`);
+    }
+    
+    // The client resends its last fix when it has no new one; only count new fixes
+    if (!isResend) {
+      const identical = data.lat === player.lat && data.lon === player.lon;
+      player.identicalFixes = identical ? player.identicalFixes + 1 : 0;
+      
+      if (player.identicalFixes >= CONFIG.MAX_IDENTICAL_FIXES) {
+        flag('identical_fixes', `${player.identicalFixes + 1} fixes`);
+      }
+    }
+  }
+  
+  player.fixTimestamp = data.timestamp;
+  player.cheatFlags.push(...flags);
+  player.cheatFlags.splice(0, player.cheatFlags.length - CONFIG.MAX_CHEAT_FLAGS);
+  
+  return flags;
+}
+
+// Whether the game's rules drop an update with these flags
+function isRejected(game, flags) {
+  return flags.length > 0 && game.rules.rejectFlaggedUpdates;
+}
+
+function describeRejection(flags) {
+  return `Location rejected: ${flags.map(flag => flag.reason).join(', ')}`;
+}
+
+// Store a validated position fix (stamped with `now`) and check for captures.
+// Returns false if the game is already over.
+function recordLocation(game, player, data, now) {
+  if (game.status === 'ended') {
+    return false;
+  }
+  
+  storeLocation(game, player, data, now);
+  applyBoundaryPenalties(game, now);
+  checkCaptures(game, player, now);
+  return true;
+}
+
+// Add a fix taken at server time `timestamp` to the player's position,
+// history and track. Queued fixes from a batch are stamped in the past.
+function storeLocation(game, player, data, timestamp) {
+  const point = {
+    lat: data.lat,
+    lon: data.lon,
+    accuracy: data.accuracy || 0,
+    timestamp,
+  };
+  
+  // Keep position history for delayed reveals, and the whole game's track
+  Object.assign(player, point);
+  player.history.push(point);
+  
+  if (game.status === 'active' && timestamp >= game.startTime) {
+    player.track.push(point);
+  }
+  
+  updateBoundaryState(game, player, timestamp);
+}
+
+// Opponents' delayed positions as seen by `requester`; nothing before play begins
+function getVisibleLocations(game, requester, now) {
+  const locations = [];
+  
+  if (!['active', 'paused'].includes(game.status)) {
+    return locations;
+  }
+  
+  if (requester.role === 'referee') {
+    return getRefereeLocations(game);
+  }
+  
+  const radar = isAbilityActive(requester, 'radar', now);
+  
+  for (const player of game.players.values()) {
+    if (player.role === requester.role || player.role === 'referee' || player.disqualified) continue;
+    
+    // Out-of-bounds players give away where they are right now, even dark;
+    // otherwise going dark hides them, radar sees through decoys, and a
+    // decoy moves the delayed position and the whole trail behind it
+    let position;
+    let decoy = null;
+    if (player.revealed && player.timestamp !== null) {
+      position = player;
+    } else if (isAbilityActive(player, 'goDark', now)) {
+      continue;
+    } else if (radar && player.timestamp !== null) {
+      position = player;
+    } else if (isAbilityActive(player, 'decoy', now)) {
+      position = getDelayedPosition(player, now, game.rules.positionDelay);
+      decoy = player.abilities.decoy.offset;
+    } else {
+      position = getDelayedPosition(player, now, game.rules.positionDelay);
+    }
+    if (!position) continue;
+    
+    // Radar and reveals show where a player is now, not the path there:
+    // their trail stops at the delay like everyone else's
+    let trail = getTrail(player, Math.min(position.timestamp, now - game.rules.positionDelay), game.rules.trailLength);
+    if (decoy) {
+      position = moveByDecoy(position, decoy);
+      trail = trail.map(point => moveByDecoy(point, decoy));
+    }
+    
+    locations.push({
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      lat: position.lat,
+      lon: position.lon,
+      accuracy: position.accuracy,
+      timestamp: position.timestamp,
+      revealed: position === player && player.revealed,
+      radar: position === player && !player.revealed,
+      flagged: player.cheatFlags.length > 0,
+      trail,
+    });
+  }
+  
+  return locations;
+}
+
+// Where a decoy shows `point`: moved by its offset, keeping the timestamp
+function moveByDecoy(point, offset) {
+  return { ...point, ...offsetPoint(point, offset.distance, offset.bearing) };
+}
+
+// Referees see every player's live position, disqualified players included,
+// with everything the backend knows about them
+function getRefereeLocations(game) {
+  return getPlayers(game)
+    .filter(player => player.timestamp !== null)
+    .map(player => ({
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      lat: player.lat,
+      lon: player.lon,
+      accuracy: player.accuracy,
+      timestamp: player.timestamp,
+      live: true,
+      outOfBounds: player.outOfBoundsSince !== null,
+      revealed: player.revealed,
+      disqualified: player.disqualified,
+      flagged: player.cheatFlags.length > 0,
+      cheatFlags: player.cheatFlags,
+      trail: getTrail(player, player.timestamp, game.rules.trailLength),
+    }));
+}
+
+// How close the nearest hunter is to a hunted requester, as a coarse band
+// from CONFIG.DANGER_BANDS; null for hunters, or without live positions
+function getDanger(game, requester, now) {
+  if (game.status !== 'active' || requester.role !== 'hunted' ||
+      requester.disqualified || requester.timestamp === null) {
+    return null;
+  }
+  
+  let nearest = Infinity;
+  
+  for (const player of game.players.values()) {
+    if (player.role !== 'hunter' || player.disqualified || player.timestamp === null) continue;
+    if (now - player.timestamp > CONFIG.LIVE_POSITION_MAX_AGE) continue;
+    
+    nearest = Math.min(nearest, calculateDistance(requester.lat, requester.lon, player.lat, player.lon));
+  }
+  
+  if (nearest === Infinity) {
+    return null;
+  }
+  
+  const match = CONFIG.DANGER_BANDS.find(({ within }) => nearest <= within * game.rules.captureDistance);
+  return match ? match.band : 'far';
+}
+
+// Player Profiles
+function createProfile(profileId, playerName, now) {
+  return {
+    profileId,
+    playerName,
+    createdAt: now,
+    stats: {
+      games: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      captures: 0, // Hunted players this player caught
+      timesCaught: 0,
+      distance: 0, // Meters covered while games were active
+      huntedGames: 0, // Games started as a hunted player
+      survivalTime: 0, // Total time survived in those games
+      longestSurvival: 0,
+    },
+    matches: [],
+  };
+}
+
+function trackDistance(track) {
+  let distance = 0;
+  
+  for (let i = 1; i < track.length; i++) {
+    distance += calculateDistance(track[i - 1].lat, track[i - 1].lon, track[i].lat, track[i].lon);
+  }
+  
+  return distance;
+}
+
+// Each player's numbers for a finished game, shown on every end screen.
+// Survival time counts for players who started hunted, until they were caught.
+function buildPlayerStats(game, endedAt) {
+  return getPlayers(game).map(player => {
+    const capture = game.captures.find(capture => capture.huntedId === player.playerId);
+    
+    return {
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.startRole || player.role,
+      finalRole: player.role,
+      captures: game.captures.filter(capture => capture.hunterId === player.playerId).length,
+      caught: Boolean(capture),
+      distance: Math.round(trackDistance(player.track)),
+      survivalTime: player.startRole === 'hunted'
+        ? Math.max(0, (capture ? capture.timestamp : endedAt) - game.startTime)
+        : null,
+    };
+  });
+}
+
+// What each player with a profile takes away from a finished game.
+// Games ended before play began don't count.
+function buildMatchRecords(game) {
+  const { endedAt, winner, reason, stats } = game.result;
+  
+  if (game.startTime === null || endedAt < game.startTime) {
+    return [];
+  }
+  
+  return stats
+    .map(entry => ({ entry, player: game.players.get(entry.playerId) }))
+    .filter(({ player }) => player && player.profileId)
+    .map(({ entry, player }) => ({
+      profileId: player.profileId,
+      playerName: player.playerName,
+      match: {
+        gameCode: game.gameCode,
+        endedAt,
+        duration: endedAt - game.startTime,
+        role: entry.role,
+        finalRole: entry.finalRole,
+        result: winner === null ? 'draw' : !player.disqualified && player.role === winner ? 'win' : 'loss',
+        reason,
+        captures: entry.captures,
+        caught: entry.caught,
+        distance: entry.distance,
+        survivalTime: entry.survivalTime,
+      },
+    }));
+}
+
+// Add match records to their profiles. A profile whose token is genuine but
+// which the store has lost (memory profiles) starts over from this match.
+async function recordMatches(profileStore, records) {
+  for (const { profileId, playerName, match } of records) {
+    const profile = (await profileStore.get(profileId)) || createProfile(profileId, playerName, match.endedAt);
+    
+    // A retried report mustn't count twice
+    if (profile.matches.some(old => old.gameCode === match.gameCode && old.endedAt === match.endedAt)) continue;
+    
+    profile.playerName = playerName;
+    profile.matches.unshift(match);
+    profile.matches.splice(CONFIG.MAX_MATCH_HISTORY);
+    
+    const { stats } = profile;
+    stats.games++;
+    stats[match.result === 'win' ? 'wins' : match.result === 'loss' ? 'losses' : 'draws']++;
+    stats.captures += match.captures;
+    stats.timesCaught += match.caught ? 1 : 0;
+    stats.distance += match.distance;
+    
+    if (match.survivalTime !== null) {
+      stats.huntedGames++;
+      stats.survivalTime += match.survivalTime;
+      stats.longestSurvival = Math.max(stats.longestSurvival, match.survivalTime);
+    }
+    
+    await profileStore.put(profile);
+  }
+}
+
+// Track Export
+// Every player's track, plus capture points, once the game is over.
+// Tracks are kept for 15 minutes after it ends (see cleanupGame).
+
+// Whether a game ended before `cutoff`, so its export window has passed
+function hasTrackExpired(game, cutoff) {
+  return game.status === 'ended' && game.result.endedAt < cutoff;
+}
+
+// Players still in the game, then those who left or were removed during it
+function getTrackedPlayers(game) {
+  return [...getPlayers(game), ...game.departed];
+}
+
+function buildGeoJson(game) {
+  const features = getTrackedPlayers(game).map(player => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: player.track.map(point => [point.lon, point.lat]),
+    },
+    properties: {
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      coordTimes: player.track.map(point => point.timestamp),
+    },
+  }));
+  
+  for (const capture of game.captures) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [capture.lon, capture.lat] },
+      properties: { type: 'capture', ...capture },
+    });
+  }
+  
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      gameCode: game.gameCode,
+      startTime: game.startTime,
+      endTime: game.result.endedAt,
+      result: game.result,
+    },
+    features,
+  };
+}
+
+function buildGpx(game) {
+  const time = timestamp => new Date(timestamp).toISOString();
+  
+  const waypoints = game.captures.map(capture => `
+  <wpt lat="${capture.lat}" lon="${capture.lon}">
+    <time>${time(capture.timestamp)}</time>
+    <name>${escapeXml(`${capture.hunterName} caught ${capture.huntedName}`)}</name>
+    <type>capture</type>
+  </wpt>`).join('');
+  
+  const tracks = getTrackedPlayers(game).map(player => `
+  <trk>
+    <name>${escapeXml(`${player.playerName} (${player.role})`)}</name>
+    <type>${player.role}</type>
+    <trkseg>${player.track.map(point => `
+      <trkpt lat="${point.lat}" lon="${point.lon}"><time>${time(point.timestamp)}</time></trkpt>`).join('')}
+    </trkseg>
+  </trk>`).join('');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Hunter vs Hunted" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(`Hunter vs Hunted ${game.gameCode}`)}</name>
+    <time>${time(game.startTime)}</time>
+  </metadata>${waypoints}${tracks}
+</gpx>
+`;
+}
+
+// The out-of-bounds penalty currently applied to a player, if any
+function getPenalty(player) {
+  return player.disqualified ? 'disqualified' : player.revealed ? 'revealed' : null;
+}
+
+// Abilities
+function isAbilityActive(player, name, now) {
+  return player.abilities[name].activeUntil > now;
+}
+
+// Charges, activity and cooldown for the abilities of the player's side
+function getAbilityState(game, player) {
+  const state = {};
+  
+  for (const [name, ability] of Object.entries(CONFIG.ABILITIES)) {
+    if (ability.role !== player.role) continue;
+    
+    const { used, activeUntil, readyAt } = player.abilities[name];
+    state[name] = {
+      charges: Math.max(0, game.rules.abilityCharges - used),
+      activeUntil,
+      readyAt,
+    };
+  }
+  
+  return state;
+}
+
+// Activate an ability. Returns an error message, or null on success.
+function useAbility(game, player, name, now) {
+  const ability = CONFIG.ABILITIES[name];
+  
+  if (!ability || ability.role !== player.role) {
+    return `Unknown ability for a ${player.role}`;
+  }
+  
+  if (game.status !== 'active') {
+    return 'Abilities can only be used during the game';
+  }
+  
+  const state = player.abilities[name];
+  
+  if (state.used >= game.rules.abilityCharges) {
+    return 'No charges left';
+  }
+  
+  if (state.readyAt > now) {
+    return `Ready again in ${Math.ceil((state.readyAt - now) / 1000)}s`;
+  }
+  
+  if (name === 'decoy') {
+    if (player.timestamp === null) {
+      return 'No position yet';
+    }
+    
+    // Hunters see the player's own delayed track, shifted, so the decoy
+    // moves and ages like a real delayed position. The whole visible trail
+    // moves with it: a trail that bent at the decoy's start would give the
+    // offset away.
+    const [min, max] = CONFIG.DECOY_DISTANCE;
+    state.offset = {
+      distance: min + Math.random() * (max - min),
+      bearing: Math.random() * 2 * Math.PI,
+    };
+  }
+  
+  state.used++;
+  state.activeUntil = now + ability.duration;
+  state.readyAt = now + ability.cooldown;
+  
+  return null;
+}
+
+// Teammates' live positions: no delay within a team
+function getTeammates(game, requester) {
+  if (!['active', 'paused'].includes(game.status)) {
+    return [];
+  }
+  
+  return Array.from(game.players.values())
+    .filter(player =>
+      player.role === requester.role &&
+      player.playerId !== requester.playerId &&
+      !player.disqualified &&
+      player.timestamp !== null
+    )
+    .map(player => ({
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      lat: player.lat,
+      lon: player.lon,
+      accuracy: player.accuracy,
+      timestamp: player.timestamp,
+    }));
+}
+
+// Messages sent by the requester's current team
+function getTeamMessages(game, requester) {
+  return game.messages.filter(message => message.role === requester.role);
+}
+
+// Real-time Channel
+// Each connected player gets a 'game' message whenever the lobby, status or
+// result changes, and a 'locations' message whenever the set of opponent
+// positions they may see changes. Clients send { type: 'location', ... },
+// each answered with an 'ack' carrying its timestamp once it's saved.
+function sendIfChanged(connection, type, payload, now) {
+  const key = JSON.stringify(payload);
+  if (connection.sent[type] === key) return;
+  
+  connection.sent[type] = key;
+  
+  try {
+    connection.socket.send(JSON.stringify({ type, ...payload, serverTime: now }));
+  } catch (error) {
+    console.error('Error sending to socket:', error);
+  }
+}
+
+function removeConnection(connection) {
+  const connections = gameSockets.get(connection.gameCode);
+  if (!connections) return;
+  
+  connections.delete(connection);
+  if (connections.size === 0) {
+    gameSockets.delete(connection.gameCode);
+  }
+}
+
+// Tell the client its session is gone; it falls back to polling, which
+// surfaces the same error through the HTTP endpoints
+function rejectConnection(connection, error) {
+  removeConnection(connection);
+  
+  try {
+    connection.socket.send(JSON.stringify({ type: 'error', error }));
+    connection.socket.close(4003, error);
+  } catch (sendError) {
+    console.error('Error closing socket:', sendError);
+  }
+}
+
+function pushUpdates(connection, game, now) {
+  const player = game.players.get(connection.playerId);
+  
+  if (!player) {
+    rejectConnection(connection, describeMissingPlayer(game, connection.playerId));
+    return;
+  }
+  
+  const { serverTime, ...state } = serializeGame(game, now);
+  sendIfChanged(connection, 'game', { game: state }, now);
+  sendIfChanged(connection, 'locations', {
+    locations: getVisibleLocations(game, player, now),
+    count: getPlayers(game).length,
+    penalty: getPenalty(player),
+    role: player.role,
+    zone: getZoneState(game, now),
+    abilities: getAbilityState(game, player),
+    danger: getDanger(game, player, now),
+    pendingCaptures: getPendingCaptures(game, player),
+    events: getEvents(game, player),
+  }, now);
+  sendIfChanged(connection, 'team', {
+    teammates: getTeammates(game, player),
+    messages: getTeamMessages(game, player),
+  }, now);
+}
+
+// The next time the game changes for someone without anyone sending
+// anything: the countdown or the game ending, a position coming out of the
+// delay, a zone announced or closing, an ability wearing off or coming
+// back, an out-of-bounds grace period running out. Null if nothing will.
+function getNextDeadline(game, now) {
+  const times = [];
+  
+  if (game.status === 'countdown') {
+    times.push(game.startTime);
+  }
+  
+  if (game.status === 'active') {
+    times.push(game.endTime);
+    
+    for (const zone of game.zones) {
+      times.push(zone.announceAt, zone.closeAt);
+    }
+    
+    for (const player of game.players.values()) {
+      const hidden = player.history.find(point => point.timestamp + game.rules.positionDelay > now);
+      if (hidden) {
+        times.push(hidden.timestamp + game.rules.positionDelay);
+      }
+      
+      for (const state of Object.values(player.abilities)) {
+        times.push(state.activeUntil, state.readyAt);
+      }
+      
+      if (player.outOfBoundsSince !== null) {
+        times.push(player.outOfBoundsSince + game.rules.outOfBoundsGrace);
+      }
+    }
+  }
+  
+  const future = times.filter(time => time > now);
+  return future.length > 0 ? Math.min(...future) : null;
+}
+
+// Sockets only hear about changes when something happens, so have the
+// store wake the game at its next deadline while anyone is listening
+async function schedulePush(store, game, now) {
+  if (!gameSockets.has(game.gameCode)) return;
+  
+  const deadline = getNextDeadline(game, now);
+  if (deadline !== null) {
+    await store.wakeAt(game.gameCode, deadline);
+  }
+}
+
+// A scheduled wake: bring the game up to date and push it to its sockets
+async function wakeGame(store, gameCode) {
+  const now = Date.now();
+  const game = await getGame(store, gameCode, now);
+  
+  if (game) {
+    await saveGame(store, game, now);
+  }
+}
+
+function broadcastGame(game, now) {
+  const connections = gameSockets.get(game.gameCode);
+  if (!connections) return;
+  
+  for (const connection of [...connections]) {
+    pushUpdates(connection, game, now);
+  }
+}
+
+// Persist a changed game and push the change to connected players.
+// The save that ends a game also adds it to the players' profiles; if that
+// fails the game is saved anyway and the next save tries again.
+async function saveGame(store, game, now) {
+  if (game.status === 'ended' && !game.recorded) {
+    game.recorded = true;
+    
+    try {
+      await store.recordMatches(buildMatchRecords(game));
+    } catch (error) {
+      console.error('Error recording matches:', error);
+      game.recorded = false;
+    }
+  }
+  
+  await store.put(game);
+  broadcastGame(game, now);
+  await schedulePush(store, game, now);
+}
+
+async function handleSocketMessage(connection, message, store) {
+  const now = Date.now();
+  let data;
+  
+  try {
+    data = JSON.parse(message);
+  } catch (error) {
+    connection.socket.send(JSON.stringify({ type: 'error', error: 'Invalid message' }));
+    return;
+  }
+  
+  const game = await getGame(store, connection.gameCode, now);
+  const player = game && game.players.get(connection.playerId);
+  
+  if (!player) {
+    rejectConnection(connection, describeMissingPlayer(game, connection.playerId));
+    return;
+  }
+  
+  player.lastSeen = now;
+  
+  if (data.type === 'location') {
+    const error = player.role === 'referee' ? 'Referees don\'t send positions' : validateLocation(data);
+    if (error) {
+      connection.socket.send(JSON.stringify({ type: 'error', error }));
+      return;
+    }
+    
+    const flags = screenLocation(game, player, data, now);
+    
+    if (isRejected(game, flags)) {
+      connection.socket.send(JSON.stringify({ type: 'rejected', error: describeRejection(flags), flags }));
+    } else {
+      recordLocation(game, player, data, now);
+    }
+  }
+  
+  await saveGame(store, game, now);
+  
+  // Once it's saved the client can stop holding on to the fix
+  if (data.type === 'location') {
+    connection.socket.send(JSON.stringify({ type: 'ack', timestamp: data.timestamp, serverTime: now }));
+  }
+}
+
+// API Handlers
+async function handleCreateGame(request, origin, env, store) {
+  try {
+    const data = await request.json();
+    
+    const missing = findMissingField(data, ['playerName', 'role', 'gameCode']);
+    if (missing) {
+      return jsonResponse({ error: `Missing required field: ${missing}` }, 400, origin);
+    }
+    
+    if (!['hunter', 'hunted', 'referee'].includes(data.role)) {
+      return jsonResponse({ error: 'Invalid role' }, 400, origin);
+    }
+    
+    const { rules, error } = validateRules(data.rules);
+    if (error) {
+      return jsonResponse({ error }, 400, origin);
+    }
+    
+    // Anything else we await comes before the game is loaded, so nothing
+    // can change it between the checks below and the save
+    const profileId = await verifyProfileToken(env, data.profileToken);
+    const now = Date.now();
+    const gameCode = sanitizeGameCode(data.gameCode);
+    const playerId = crypto.randomUUID();
+    const existing = await getGame(store, gameCode, now);
+    
+    // Finished games give their code up straight away
+    if (existing && existing.status !== 'ended') {
+      return jsonResponse({ error: 'Game code already in use' }, 409, origin);
+    }
+    
+    const game = createGame(gameCode, playerId, rules, now);
+    const player = createPlayer(gameCode, playerId, sanitizePlayerName(data.playerName), data.role, now);
+    player.profileId = profileId;
+    game.players.set(playerId, player);
+    await store.put(game);
+    
+    return jsonResponse({
+      success: true,
+      playerId,
+      token: await issueToken(env, gameCode, playerId, now),
+      game: serializeGame(game, now),
+    }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleCreateGame:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleJoinGame(request, origin, env, store) {
+  try {
+    const data = await request.json();
+    
+    const missing = findMissingField(data, ['playerName', 'role', 'gameCode']);
+    if (missing) {
+      return jsonResponse({ error: `Missing required field: ${missing}` }, 400, origin);
+    }
+    
+    if (!['hunter', 'hunted', 'referee'].includes(data.role)) {
+      return jsonResponse({ error: 'Invalid role' }, 400, origin);
+    }
+    
+    const profileId = await verifyProfileToken(env, data.profileToken);
+    const now = Date.now();
+    const game = await getGame(store, sanitizeGameCode(data.gameCode), now);
+    
+    if (!game) {
+      return jsonResponse({ error: 'Game not found' }, 404, origin);
+    }
+    
+    if (game.status !== 'lobby') {
+      return jsonResponse({ error: 'Game has already started' }, 409, origin);
+    }
+    
+    if (data.role === 'referee') {
+      const referees = game.players.size - getPlayers(game).length;
+      if (referees >= CONFIG.MAX_REFEREES) {
+        return jsonResponse({ error: 'Game already has enough referees' }, 409, origin);
+      }
+    } else if (getPlayers(game).length >= game.rules.maxPlayers) {
+      return jsonResponse({ error: 'Game is full' }, 409, origin);
+    }
+    
+    // Player IDs come from the server so nobody can join as someone else
+    const playerId = crypto.randomUUID();
+    const player = createPlayer(game.gameCode, playerId, sanitizePlayerName(data.playerName), data.role, now);
+    player.profileId = profileId;
+    game.players.set(playerId, player);
+    await saveGame(store, game, now);
+    
+    return jsonResponse({
+      success: true,
+      playerId,
+      token: await issueToken(env, game.gameCode, playerId, now),
+      game: serializeGame(game, now),
+    }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleJoinGame:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleReady(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    const data = await request.json();
+    
+    const missing = findMissingField(data, ['ready']);
+    if (missing) {
+      return jsonResponse({ error: `Missing required field: ${missing}` }, 400, origin);
+    }
+    
+    if (game.status !== 'lobby') {
+      return jsonResponse({ error: 'Game has already started' }, 409, origin);
+    }
+    
+    player.ready = Boolean(data.ready);
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ success: true, game: serializeGame(game, now) }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleReady:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleStartGame(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    if (game.hostId !== player.playerId) {
+      return jsonResponse({ error: 'Only the host can start the game' }, 403, origin);
+    }
+    
+    if (game.status !== 'lobby') {
+      return jsonResponse({ error: 'Game has already started' }, 409, origin);
+    }
+    
+    const players = Array.from(game.players.values());
+    
+    if (!players.some(p => p.role === 'hunter') || !players.some(p => p.role === 'hunted')) {
+      return jsonResponse({ error: 'Need at least one hunter and one hunted' }, 409, origin);
+    }
+    
+    if (!players.every(p => p.ready || p.role === 'referee')) {
+      return jsonResponse({ error: 'Not all players are ready' }, 409, origin);
+    }
+    
+    // Every client counts down to, and times the game from, these
+    game.status = 'countdown';
+    game.startTime = now + CONFIG.COUNTDOWN_DURATION;
+    game.endTime = game.startTime + game.rules.gameDuration;
+    game.zones = scheduleZones(game.rules, game.startTime);
+    
+    for (const p of players) {
+      p.startRole = p.role;
+    }
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ success: true, game: serializeGame(game, now) }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleStartGame:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleLeaveGame(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    const playerId = player.playerId;
+    removePlayer(game, player);
+    
+    // Hand the lobby to whoever joined next
+    if (game.hostId === playerId && game.players.size > 0) {
+      game.hostId = game.players.keys().next().value;
+    }
+    
+    if (game.players.size === 0) {
+      await store.delete(game.gameCode);
+    } else {
+      checkSides(game, 'forfeit', now);
+      await saveGame(store, game, now);
+    }
+    
+    return jsonResponse({ success: true }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleLeaveGame:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleGetGame(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ game: serializeGame(game, now) }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleGetGame:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500, origin);
+  }
+}
+
+async function handleUpdateLocation(request, origin, env, store) {
+  try {
+    // Positions are stamped with server time so clients can't
+    // shorten the delay by back-dating their updates
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    if (player.role === 'referee') {
+      return jsonResponse({ error: 'Referees don\'t send positions' }, 403, origin);
+    }
+    
+    const data = await request.json();
+    
+    const error = validateLocation(data);
+    if (error) {
+      return jsonResponse({ error }, 400, origin);
+    }
+    
+    const flags = screenLocation(game, player, data, now);
+    
+    if (isRejected(game, flags)) {
+      await saveGame(store, game, now);
+      return jsonResponse({ error: describeRejection(flags), flags }, 422, origin);
+    }
+    
+    // Positions no longer count once the game has a result
+    if (!recordLocation(game, player, data, now)) {
+      await saveGame(store, game, now);
+      return jsonResponse({
+        success: false,
+        message: 'Game over',
+        playerCount: getPlayers(game).length,
+        result: game.result,
+      }, 200, origin);
+    }
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({
+      success: true,
+      message: 'Location updated',
+      flags,
+      playerCount: getPlayers(game).length,
+      status: game.status,
+      result: game.result,
+    }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleUpdateLocation:', error);
+    return jsonResponse(
+      { error: 'Invalid request data' },
+      400,
+      origin
+    );
+  }
+}
+
+// Fixes a client queued while it couldn't reach us, oldest first. Fixes at
+// or before the last one we have are duplicates from a retried upload.
+// Captures are only checked from where the player is now: the newest fix.
+async function handleUpdateLocations(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    if (player.role === 'referee') {
+      return jsonResponse({ error: 'Referees don\'t send positions' }, 403, origin);
+    }
+    
+    const data = await request.json();
+    const points = data.points;
+    
+    if (!Array.isArray(points) || points.length === 0 || points.length > CONFIG.MAX_BATCH_POINTS) {
+      return jsonResponse({ error: `points must hold 1 to ${CONFIG.MAX_BATCH_POINTS} fixes` }, 400, origin);
+    }
+    
+    for (let i = 0; i < points.length; i++) {
+      const error = validateLocation(points[i] || {});
+      if (error) {
+        return jsonResponse({ error: `Point ${i}: ${error}` }, 400, origin);
+      }
+    }
+    
+    // Fix times come from the client's clock; its send time tells us how far
+    // that is from ours, within limits so a made-up sentAt can't move fixes
+    // far into the past. Nothing may be stamped later than now, and the
+    // newest fix no earlier than a live position, so a batch can't keep the
+    // player out of capture checks.
+    const reported = typeof data.sentAt === 'number' && Number.isFinite(data.sentAt) ? now - data.sentAt : 0;
+    const offset = Math.max(-CONFIG.MAX_BATCH_CLOCK_OFFSET, Math.min(CONFIG.MAX_BATCH_CLOCK_OFFSET, reported));
+    const newest = points[points.length - 1];
+    let accepted = 0;
+    let duplicates = 0;
+    const rejected = [];
+    
+    for (const point of points) {
+      if (game.status === 'ended') break;
+      
+      let timestamp = Math.min(now, point.timestamp + offset);
+      if (point === newest) {
+        timestamp = Math.max(timestamp, now - CONFIG.LIVE_POSITION_MAX_AGE);
+      }
+      
+      if ((player.fixTimestamp !== null && point.timestamp <= player.fixTimestamp) ||
+          (player.timestamp !== null && timestamp <= player.timestamp)) {
+        duplicates++;
+        continue;
+      }
+      
+      const flags = screenLocation(game, player, point, timestamp);
+      
+      if (isRejected(game, flags)) {
+        rejected.push({ timestamp: point.timestamp, error: describeRejection(flags), flags });
+        continue;
+      }
+      
+      storeLocation(game, player, point, timestamp);
+      accepted++;
+    }
+    
+    if (accepted > 0) {
+      applyBoundaryPenalties(game, now);
+      checkCaptures(game, player, now);
+    }
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({
+      success: true,
+      accepted,
+      duplicates,
+      rejected,
+      playerCount: getPlayers(game).length,
+      status: game.status,
+      result: game.result,
+    }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleUpdateLocations:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
+
+async function handleGetLocations(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player: requester, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    await saveGame(store, game, now);
+    
+    // Only opponents' delayed positions leave the server
+    const locations = getVisibleLocations(game, requester, now);
+    
+    return jsonResponse({
+      locations,
+      count: getPlayers(game).length,
+      penalty: getPenalty(requester),
+      role: requester.role,
+      zone: getZoneState(game, now),
+      abilities: getAbilityState(game, requester),
+      danger: getDanger(game, requester, now),
+      pendingCaptures: getPendingCaptures(game, requester),
+      events: getEvents(game, requester),
+      teammates: getTeammates(game, requester),
+      messages: getTeamMessages(game, requester),
+      status: game.status,
+      endTime: game.endTime,
+      serverTime: now,
+      result: game.result,
+    }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleGetLocations:', error);
+    return jsonResponse(
+      { error: 'Internal server error' },
+      500,
+      origin
+    );
+  }
+}
+
+async function handleSendMessage(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    const data = await request.json();
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    
+    if (!text || text.length > CONFIG.MAX_MESSAGE_LENGTH) {
+      return jsonResponse(
+        { error: `Message must be 1 to ${CONFIG.MAX_MESSAGE_LENGTH} characters` },
+        400,
+        origin
+      );
+    }
+    
+    if (game.status === 'ended') {
+      return jsonResponse({ error: 'Game is over' }, 409, origin);
+    }
+    
+    // Messages go to the sender's current team only
+    game.messages.push({
+      messageId: crypto.randomUUID(),
+      playerId: player.playerId,
+      playerName: player.playerName,
+      role: player.role,
+      text,
+      timestamp: now,
+    });
+    game.messages.splice(0, game.messages.length - CONFIG.MAX_MESSAGES);
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ success: true, messages: getTeamMessages(game, player) }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleSendMessage:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
 
-// Rate limiting map
-let rateLimitMap = new Map(); // IP -> { count, resetTime }
+async function handleUseAbility(request, origin, env, store) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
+    
+    const data = await request.json();
+    const error = useAbility(game, player, data.ability, now);
+    
+    if (error) {
+      await saveGame(store, game, now);
+      return jsonResponse({ error, abilities: getAbilityState(game, player) }, 409, origin);
+    }
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ success: true, abilities: getAbilityState(game, player) }, 200, origin);
+    
+  } catch (error) {
+    console.error('Error in handleUseAbility:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
+}
 
-// Helper Functions
-function getCorsHeaders(origin) {
-  const allowedOrigin = CONFIG.ALLOWED_ORIGINS.includes(origin) 
-    ? origin 
-    : CONFIG.ALLOWED_ORIGINS[0];
+// Referee Controls
+// Authenticate a referee and apply `action(game, data, now)` to their game.
+// The action returns an error message (sent with a 409), or null on success.
+async function handleRefereeAction(request, origin, env, store, name, action) {
+  try {
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
     
-  return {
-    'Access-Control-Allow-Origin': allowedOrigin,
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Max-Age': '86400',
-  };
+    if (player.role !== 'referee') {
+      return jsonResponse({ error: 'Only a referee can do that' }, 403, origin);
+    }
+    
+    const data = await request.json();
+    const error = action(game, data, now);
+    
+    if (error) {
+      return jsonResponse({ error }, 409, origin);
+    }
+    
+    await saveGame(store, game, now);
+    
+    return jsonResponse({ success: true, game: serializeGame(game, now) }, 200, origin);
+    
+  } catch (error) {
+    console.error(`Error in ${name}:`, error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
+  }
 }
 
-function jsonResponse(data, status = 200, origin = null) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...getCorsHeaders(origin),
-    },
+// The hunter or hunted player a referee action targets, or null
+function findTarget(game, data) {
+  const target = game.players.get(data.playerId);
+  return target && target.role !== 'referee' ? target : null;
+}
+
+async function handlePauseGame(request, origin, env, store) {
+  return handleRefereeAction(request, origin, env, store, 'handlePauseGame', (game, data, now) => {
+    if (game.status !== 'active') {
+      return 'Only an active game can be paused';
+    }
+    
+    pauseGame(game, now);
+    logEvent(game, 'paused', 'The referee paused the game', true, now);
+    return null;
   });
 }
 
-function checkRateLimit(ip) {
-  const now = Date.now();
-  
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + 60000 });
-    return true;
-  }
-  
-  const limit = rateLimitMap.get(ip);
-  
-  // Reset if time window passed
-  if (now > limit.resetTime) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + 60000 });
-    return true;
-  }
-  
-  // Check limit
-  if (limit.count >= CONFIG.RATE_LIMIT) {
-    return false;
-  }
-  
-  limit.count++;
-  return true;
+async function handleResumeGame(request, origin, env, store) {
+  return handleRefereeAction(request, origin, env, store, 'handleResumeGame', (game, data, now) => {
+    if (game.status !== 'paused') {
+      return 'Game is not paused';
+    }
+    
+    resumeGame(game, now);
+    logEvent(game, 'resumed', 'The referee resumed the game', true, now);
+    return null;
+  });
 }
 
-function cleanOldData() {
-  const now = Date.now();
-  const cutoff = now - CONFIG.MAX_POSITION_AGE;
-  
-  // Clean up old games and positions
-  for (const [gameCode, players] of gameData.entries()) {
-    for (const [playerId, playerData] of players.entries()) {
-      if (playerData.timestamp < cutoff) {
-        players.delete(playerId);
-      }
+async function handleKickPlayer(request, origin, env, store) {
+  return handleRefereeAction(request, origin, env, store, 'handleKickPlayer', (game, data, now) => {
+    const target = findTarget(game, data);
+    
+    if (!target) {
+      return 'Player not found';
     }
     
-    // Remove empty games
-    if (players.size === 0) {
-      gameData.delete(gameCode);
+    if (game.status === 'ended') {
+      return 'Game is over';
     }
-  }
-  
-  // Clean up old rate limit entries
-  for (const [ip, limit] of rateLimitMap.entries()) {
-    if (now > limit.resetTime) {
-      rateLimitMap.delete(ip);
+    
+    // Their token stays valid, so remember them to explain the 403 they get next
+    removePlayer(game, target);
+    game.kicked.push(target.playerId);
+    
+    if (game.hostId === target.playerId) {
+      game.hostId = game.players.keys().next().value;
     }
-  }
+    
+    logEvent(game, 'kicked', `The referee removed ${target.playerName}`, true, now);
+    checkSides(game, 'forfeit', now);
+    return null;
+  });
 }
 
-// API Handlers
-async function handleUpdateLocation(request, origin) {
+async function handleSetRole(request, origin, env, store) {
+  return handleRefereeAction(request, origin, env, store, 'handleSetRole', (game, data, now) => {
+    const target = findTarget(game, data);
+    
+    if (!target) {
+      return 'Player not found';
+    }
+    
+    if (!['hunter', 'hunted'].includes(data.role)) {
+      return 'Role must be hunter or hunted';
+    }
+    
+    if (game.status === 'ended') {
+      return 'Game is over';
+    }
+    
+    if (target.role === data.role) {
+      return `${target.playerName} is already a ${data.role}`;
+    }
+    
+    target.role = data.role;
+    logEvent(game, 'role', `The referee made ${target.playerName} a ${data.role}`, true, now);
+    checkSides(game, 'forfeit', now);
+    return null;
+  });
+}
+
+async function handleEndGame(request, origin, env, store) {
+  return handleRefereeAction(request, origin, env, store, 'handleEndGame', (game, data, now) => {
+    const winner = data.winner === undefined ? null : data.winner;
+    
+    if (![null, 'hunter', 'hunted'].includes(winner)) {
+      return 'Winner must be hunter, hunted or null';
+    }
+    
+    if (!['countdown', 'active', 'paused'].includes(game.status)) {
+      return 'Game is not running';
+    }
+    
+    logEvent(game, 'ended', 'The referee ended the game', true, now);
+    endGame(game, 'referee', winner, now);
+    return null;
+  });
+}
+
+async function handleGetTrack(request, origin, env, store) {
   try {
-    const data = await request.json();
+    const now = Date.now();
+    const { game, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
     
-    // Validate required fields
-    const required = ['playerId', 'playerName', 'role', 'gameCode', 'lat', 'lon', 'timestamp'];
-    for (const field of required) {
-      if (data[field] === undefined || data[field] === null) {
-        return jsonResponse(
-          { error: `Missing required field: ${field}` },
-          400,
-          origin
-        );
-      }
+    await saveGame(store, game, now);
+    
+    // Tracks would give away live positions before the game is over
+    if (game.status !== 'ended') {
+      return jsonResponse({ error: 'Tracks are available once the game has ended' }, 409, origin);
     }
     
-    // Validate data types and ranges
-    if (typeof data.lat !== 'number' || data.lat < -90 || data.lat > 90) {
-      return jsonResponse({ error: 'Invalid latitude' }, 400, origin);
+    // Retention has dropped them, or is about to
+    if (hasTrackExpired(game, now - CONFIG.MAX_POSITION_AGE)) {
+      return jsonResponse({ error: 'Tracks are only kept for 15 minutes after the game' }, 410, origin);
     }
     
-    if (typeof data.lon !== 'number' || data.lon < -180 || data.lon > 180) {
-      return jsonResponse({ error: 'Invalid longitude' }, 400, origin);
+    const format = new URL(request.url).searchParams.get('format') || 'geojson';
+    const filename = `hunter-hunted-${game.gameCode}`;
+    
+    if (format === 'gpx') {
+      return fileResponse(buildGpx(game), 'application/gpx+xml', `${filename}.gpx`, origin);
     }
     
-    if (!['hunter', 'hunted'].includes(data.role)) {
-      return jsonResponse({ error: 'Invalid role' }, 400, origin);
+    if (format === 'geojson') {
+      return fileResponse(
+        JSON.stringify(buildGeoJson(game)),
+        'application/geo+json',
+        `${filename}.geojson`,
+        origin
+      );
     }
     
-    // Sanitize inputs
-    const gameCode = String(data.gameCode).toUpperCase().slice(0, 10);
-    const playerId = String(data.playerId).slice(0, 50);
-    const playerName = String(data.playerName).slice(0, 20);
+    return jsonResponse({ error: 'Invalid format: use gpx or geojson' }, 400, origin);
     
-    // Get or create game
-    if (!gameData.has(gameCode)) {
-      gameData.set(gameCode, new Map());
+  } catch (error) {
+    console.error('Error in handleGetTrack:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500, origin);
+  }
+}
+
+async function handleConnect(request, origin, env, store) {
+  try {
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return jsonResponse({ error: 'Expected WebSocket upgrade' }, 426, origin);
     }
     
-    const game = gameData.get(gameCode);
+    const now = Date.now();
+    const { game, player, response } = await authenticate(request, origin, env, store, now);
+    if (response) return response;
     
-    // Store player data
-    game.set(playerId, {
-      playerId,
-      playerName,
-      role: data.role,
-      gameCode,
-      lat: data.lat,
-      lon: data.lon,
-      accuracy: data.accuracy || 0,
-      timestamp: data.timestamp,
+    const [client, socket] = Object.values(new WebSocketPair());
+    socket.accept();
+    
+    const connection = { socket, gameCode: game.gameCode, playerId: player.playerId, sent: {} };
+    
+    if (!gameSockets.has(game.gameCode)) {
+      gameSockets.set(game.gameCode, new Set());
+    }
+    gameSockets.get(game.gameCode).add(connection);
+    
+    socket.addEventListener('message', event => {
+      handleSocketMessage(connection, event.data, store).catch(error => {
+        console.error('Error in handleSocketMessage:', error);
+      });
     });
+    socket.addEventListener('close', () => removeConnection(connection));
+    socket.addEventListener('error', () => removeConnection(connection));
+    
+    await store.put(game);
+    pushUpdates(connection, game, now);
+    await schedulePush(store, game, now);
+    
+    return new Response(null, { status: 101, webSocket: client });
+    
+  } catch (error) {
+    console.error('Error in handleConnect:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500, origin);
+  }
+}
+
+// Profile Handlers
+async function handleCreateProfile(request, origin, env, profileStore) {
+  try {
+    const data = await request.json();
+    
+    const missing = findMissingField(data, ['playerName']);
+    if (missing) {
+      return jsonResponse({ error: `Missing required field: ${missing}` }, 400, origin);
+    }
+    
+    const profile = createProfile(crypto.randomUUID(), sanitizePlayerName(data.playerName), Date.now());
+    await profileStore.put(profile);
     
     return jsonResponse({
       success: true,
-      message: 'Location updated',
-      playerCount: game.size,
+      profileToken: await issueProfileToken(env, profile.profileId),
+      profile,
     }, 200, origin);
     
   } catch (error) {
-    console.error('Error in handleUpdateLocation:', error);
-    return jsonResponse(
-      { error: 'Invalid request data' },
-      400,
-      origin
-    );
+    console.error('Error in handleCreateProfile:', error);
+    return jsonResponse({ error: 'Invalid request data' }, 400, origin);
   }
 }
 
-async function handleGetLocations(request, origin) {
+async function handleGetProfile(request, origin, env, profileStore) {
   try {
-    const url = new URL(request.url);
-    const gameCode = url.searchParams.get('gameCode');
-    
-    if (!gameCode) {
-      return jsonResponse({ error: 'Missing gameCode parameter' }, 400, origin);
+    const profileId = await verifyProfileToken(env, getRequestToken(request));
+    if (!profileId) {
+      return jsonResponse({ error: 'Invalid profile token' }, 401, origin);
     }
     
-    const sanitizedGameCode = String(gameCode).toUpperCase().slice(0, 10);
+    const profile = (await profileStore.get(profileId)) || createProfile(profileId, '', Date.now());
     
-    // Get game data
-    const game = gameData.get(sanitizedGameCode);
+    return jsonResponse({ profile }, 200, origin);
     
-    if (!game) {
-      return jsonResponse({
-        locations: [],
-        count: 0,
-      }, 200, origin);
+  } catch (error) {
+    console.error('Error in handleGetProfile:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500, origin);
+  }
+}
+
+async function handleGetLeaderboard(request, origin, env, profileStore) {
+  try {
+    const sort = new URL(request.url).searchParams.get('sort') || 'wins';
+    const stat = CONFIG.LEADERBOARD_SORTS[sort];
+    
+    if (!stat) {
+      return jsonResponse({ error: `sort must be one of: ${Object.keys(CONFIG.LEADERBOARD_SORTS).join(', ')}` }, 400, origin);
     }
     
-    // Convert Map to array
-    const locations = Array.from(game.values());
+    const leaderboard = (await profileStore.list())
+      .filter(profile => profile.stats.games > 0)
+      .sort((a, b) => b.stats[stat] - a.stats[stat] || b.stats.wins - a.stats.wins)
+      .slice(0, CONFIG.LEADERBOARD_SIZE)
+      .map((profile, index) => ({
+        rank: index + 1,
+        profileId: profile.profileId,
+        playerName: profile.playerName,
+        stats: profile.stats,
+      }));
     
-    return jsonResponse({
-      locations,
-      count: locations.length,
-    }, 200, origin);
+    return jsonResponse({ sort, leaderboard }, 200, origin);
     
   } catch (error) {
-    console.error('Error in handleGetLocations:', error);
-    return jsonResponse(
-      { error: 'Internal server error' },
-      500,
-      origin
-    );
+    console.error('Error in handleGetLeaderboard:', error);
+    return jsonResponse({ error: 'Internal server error' }, 500, origin);
   }
 }
 
@@ -221,8 +2717,84 @@ function handleNotFound(origin) {
   );
 }
 
+// Game routes: "METHOD /path" -> handler(request, origin, env, store)
+const GAME_ROUTES = {
+  'POST /createGame': handleCreateGame,
+  'POST /joinGame': handleJoinGame,
+  'POST /ready': handleReady,
+  'POST /startGame': handleStartGame,
+  'POST /leaveGame': handleLeaveGame,
+  'GET /game': handleGetGame,
+  'POST /updateLocation': handleUpdateLocation,
+  'POST /updateLocations': handleUpdateLocations,
+  'GET /locations': handleGetLocations,
+  'POST /message': handleSendMessage,
+  'POST /ability': handleUseAbility,
+  'POST /pauseGame': handlePauseGame,
+  'POST /resumeGame': handleResumeGame,
+  'POST /kickPlayer': handleKickPlayer,
+  'POST /setRole': handleSetRole,
+  'POST /endGame': handleEndGame,
+  'GET /track': handleGetTrack,
+  'GET /connect': handleConnect,
+};
+
+// Profile routes: "METHOD /path" -> handler(request, origin, env, profileStore)
+const PROFILE_ROUTES = {
+  'POST /profile': handleCreateProfile,
+  'GET /profile': handleGetProfile,
+  'GET /leaderboard': handleGetLeaderboard,
+};
+
+// Which game a request is for: from the body when creating or joining,
+// otherwise from the (not yet verified) session token. Null if unknown.
+async function getRoutingGameCode(request, path) {
+  try {
+    if (path === '/createGame' || path === '/joinGame') {
+      const data = await request.clone().json();
+      return data.gameCode === undefined || data.gameCode === null
+        ? null
+        : sanitizeGameCode(data.gameCode);
+    }
+    
+    const token = getRequestToken(request) || '';
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(token.split('.')[0])));
+    return typeof payload.gameCode === 'string' ? payload.gameCode : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Runs a game route against a store (in this isolate or inside a GameObject)
+async function handleGameRequest(request, env, store) {
+  const origin = request.headers.get('Origin');
+  const url = new URL(request.url);
+  const handler = GAME_ROUTES[`${request.method} ${url.pathname}`];
+  
+  if (!handler) {
+    return handleNotFound(origin);
+  }
+  
+  // Clean old data periodically (every request is fine for low traffic)
+  await cleanOldData(store);
+  
+  return handler(request, origin, env, store);
+}
+
+// Runs a profile route against a profile store (in this isolate or inside the ProfileObject)
+async function handleProfileRequest(request, env, profileStore) {
+  const origin = request.headers.get('Origin');
+  const handler = PROFILE_ROUTES[`${request.method} ${new URL(request.url).pathname}`];
+  
+  if (!handler) {
+    return handleNotFound(origin);
+  }
+  
+  return handler(request, origin, env, profileStore);
+}
+
 // Main request handler
-async function handleRequest(request) {
+async function handleRequest(request, env = {}) {
   const origin = request.headers.get('Origin');
   const url = new URL(request.url);
   const path = url.pathname;
@@ -232,6 +2804,11 @@ async function handleRequest(request) {
     return handleOptions(origin);
   }
   
+  if ((env.GAMES || env.PROFILES) && !env.TOKEN_SECRET) {
+    console.error('TOKEN_SECRET must be set when Durable Objects are bound');
+    return jsonResponse({ error: 'Server misconfigured: TOKEN_SECRET is not set' }, 500, origin);
+  }
+  
   // Get client IP for rate limiting
   const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
   
@@ -244,38 +2821,103 @@ async function handleRequest(request) {
     );
   }
   
-  // Clean old data periodically (every request is fine for low traffic)
-  cleanOldData();
-  
-  // Route requests
-  if (path === '/updateLocation' && request.method === 'POST') {
-    return handleUpdateLocation(request, origin);
-  }
-  
-  if (path === '/locations' && request.method === 'GET') {
-    return handleGetLocations(request, origin);
-  }
+  cleanRateLimits();
   
   if (path === '/' || path === '/health') {
     return jsonResponse({
       status: 'ok',
       message: 'Hunter vs Hunted API',
       version: '1.0.0',
-      activeGames: gameData.size,
+      storage: env.GAMES ? 'durable-objects' : 'memory',
+      activeGames: env.GAMES ? undefined : await memoryStore.count(),
     }, 200, origin);
   }
   
-  return handleNotFound(origin);
+  // Every profile lives in one ProfileObject, or in this isolate without one
+  if (PROFILE_ROUTES[`${request.method} ${path}`]) {
+    if (!env.PROFILES) {
+      return handleProfileRequest(request, env, memoryProfileStore);
+    }
+    
+    return env.PROFILES.get(env.PROFILES.idFromName('profiles')).fetch(request);
+  }
+  
+  if (!GAME_ROUTES[`${request.method} ${path}`]) {
+    return handleNotFound(origin);
+  }
+  
+  // Without a Durable Object binding every game lives in this isolate
+  if (!env.GAMES) {
+    return handleGameRequest(request, env, memoryStore);
+  }
+  
+  const gameCode = await getRoutingGameCode(request, path);
+  
+  // Requests that don't name a game can only fail validation;
+  // let the handler produce the error against an empty store
+  if (!gameCode) {
+    return handleGameRequest(request, env, createMemoryStore());
+  }
+  
+  const stub = env.GAMES.get(env.GAMES.idFromName(gameCode));
+  return stub.fetch(request);
+}
+
+// Durable Object holding a single game (bound as GAMES in wrangler.toml)
+export class GameObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.store = createDurableObjectStore(state.storage, env.PROFILES);
+  }
+  
+  async fetch(request) {
+    return handleGameRequest(request, this.env, this.store);
+  }
+  
+  // Retention runs even when nobody is sending requests. The same alarm
+  // wakes the game for its sockets (see schedulePush), which may bring it
+  // forward again.
+  async alarm() {
+    await cleanOldData(this.store);
+    
+    const game = await this.state.storage.get('game');
+    if (game) {
+      await this.state.storage.setAlarm(Date.now() + CONFIG.MAX_POSITION_AGE);
+      await wakeGame(this.store, game.gameCode);
+    }
+  }
+}
+
+// Durable Object holding every player profile (bound as PROFILES in wrangler.toml)
+export class ProfileObject {
+  constructor(state, env) {
+    this.env = env;
+    this.store = createDurableObjectProfileStore(state.storage);
+  }
+  
+  async fetch(request) {
+    // Finished games report here from their GameObject. The main worker never
+    // forwards this path, so it can't be reached from outside.
+    if (new URL(request.url).pathname === '/recordMatches') {
+      await recordMatches(this.store, await request.json());
+      return new Response(null, { status: 204 });
+    }
+    
+    return handleProfileRequest(request, this.env, this.store);
+  }
 }
 
 // Cloudflare Workers entry point
 addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
+  event.respondWith(handleRequest(event.request, {
+    TOKEN_SECRET: typeof TOKEN_SECRET !== 'undefined' ? TOKEN_SECRET : undefined,
+  }));
 });
 
 // Alternative export for newer Workers syntax
 export default {
-  async fetch(request) {
-    return handleRequest(request);
+  async fetch(request, env) {
+    return handleRequest(request, env);
   },
 };